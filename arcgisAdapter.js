@@ -0,0 +1,219 @@
+const fetch = require('node-fetch');
+
+// Fetches complete layers from ArcGIS REST MapServer/FeatureServer endpoints.
+// A plain query is silently truncated at the service's maxRecordCount, so this
+// reads the layer metadata first and then pages with resultOffset or, for
+// services without pagination, requests features in objectId batches.
+class ArcGISAdapter {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 60000;
+    this.pageDelay = options.pageDelay || 250;
+    this.maxPages = options.maxPages || 500;
+    this.headers = {
+      'User-Agent': 'ShipCleaningGIS/1.0',
+      'Accept': 'application/json, application/geo+json'
+    };
+  }
+
+  static isArcGISUrl(url) {
+    return /\/(MapServer|FeatureServer)\/\d+/i.test(url || '');
+  }
+
+  parseUrl(url) {
+    const parsed = new URL(url);
+    const match = parsed.pathname.match(/^(.*\/(?:MapServer|FeatureServer)\/\d+)/i);
+    if (!match) {
+      throw new Error(`Not an ArcGIS REST layer URL: ${url}`);
+    }
+
+    const layerUrl = `${parsed.origin}${match[1]}`;
+    const params = {};
+    for (const [name, value] of parsed.searchParams.entries()) {
+      params[name] = value;
+    }
+
+    // Defaults for a bare layer URL
+    if (!params.where) params.where = '1=1';
+    if (!params.outFields) params.outFields = '*';
+    // Ask for WGS84 unless the URL says otherwise; the service may still reply
+    // in its native system, which the crs member of each page then declares
+    if (!params.outSR) params.outSR = '4326';
+    params.returnGeometry = 'true';
+    params.f = 'geojson';
+
+    return { layerUrl, params };
+  }
+
+  // Restricts the query to features intersecting [minX, minY, maxX, maxY] in WGS84,
+  // unless the source URL already carries its own spatial filter
+  applyEnvelope(params, envelope) {
+    if (params.geometry) return params;
+
+    const [xmin, ymin, xmax, ymax] = envelope;
+    params.geometry = JSON.stringify({ xmin, ymin, xmax, ymax, spatialReference: { wkid: 4326 } });
+    params.geometryType = 'esriGeometryEnvelope';
+    params.spatialRel = 'esriSpatialRelIntersects';
+    params.inSR = '4326';
+    return params;
+  }
+
+  async request(url, params = null) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      // Long objectId lists are POSTed to stay under URL length limits
+      const response = await fetch(url, {
+        method: params ? 'POST' : 'GET',
+        body: params ? new URLSearchParams(params) : undefined,
+        signal: controller.signal,
+        headers: this.headers
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const json = await response.json();
+      if (json && json.error) {
+        throw new Error(`ArcGIS error ${json.error.code}: ${json.error.message}`);
+      }
+      return json;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  async getLayerInfo(layerUrl) {
+    const info = await this.request(`${layerUrl}?f=json`);
+    const oidField = info.objectIdField ||
+      (info.fields || []).find(field => field.type === 'esriFieldTypeOID')?.name ||
+      'OBJECTID';
+
+    return {
+      name: info.name,
+      maxRecordCount: info.maxRecordCount || 1000,
+      supportsPagination: Boolean(
+        info.advancedQueryCapabilities?.supportsPagination ?? info.supportsPagination
+      ),
+      objectIdField: oidField
+    };
+  }
+
+  async fetchLayer(url, options = {}) {
+    const { layerUrl, params } = this.parseUrl(url);
+    if (options.envelope) {
+      this.applyEnvelope(params, options.envelope);
+    }
+    const queryUrl = `${layerUrl}/query`;
+    const info = await this.getLayerInfo(layerUrl);
+
+    const countResponse = await this.request(queryUrl, { ...params, returnCountOnly: 'true', f: 'json' });
+    const expected = typeof countResponse.count === 'number' ? countResponse.count : null;
+
+    let result;
+    if (info.supportsPagination) {
+      result = await this.fetchByOffset(queryUrl, params, info);
+    } else {
+      result = await this.fetchByObjectIds(queryUrl, params, info);
+    }
+
+    const features = this.dedupeFeatures(result.features, info.objectIdField);
+    const complete = !result.truncated && (expected === null || features.length >= expected);
+
+    if (!complete) {
+      console.warn(`ArcGIS layer ${layerUrl} incomplete: received ${features.length} of ${expected ?? 'unknown'} features`);
+    }
+
+    return {
+      data: { type: 'FeatureCollection', features },
+      retrieval: {
+        method: result.method,
+        crs: result.crs || params.outSR,
+        complete,
+        expected,
+        received: features.length,
+        pages: result.pages,
+        maxRecordCount: info.maxRecordCount,
+        retrievedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  async fetchByOffset(queryUrl, params, info) {
+    const features = [];
+    const pageSize = info.maxRecordCount;
+    let pages = 0;
+    let finished = false;
+    let crs = null;
+
+    while (pages < this.maxPages) {
+      const page = await this.request(queryUrl, {
+        ...params,
+        orderByFields: params.orderByFields || info.objectIdField,
+        resultOffset: String(pages * pageSize),
+        resultRecordCount: String(pageSize)
+      });
+      pages++;
+
+      const pageFeatures = page.features || [];
+      features.push(...pageFeatures);
+      crs = crs || page.crs || null;
+
+      const exceeded = page.exceededTransferLimit || page.properties?.exceededTransferLimit;
+      if (pageFeatures.length === 0 || (!exceeded && pageFeatures.length < pageSize)) {
+        finished = true;
+        break;
+      }
+
+      await this.delay();
+    }
+
+    return { features, pages, crs, truncated: !finished, method: 'pagination' };
+  }
+
+  async fetchByObjectIds(queryUrl, params, info) {
+    const idResponse = await this.request(queryUrl, { ...params, returnIdsOnly: 'true', f: 'json' });
+    const objectIds = (idResponse.objectIds || []).sort((a, b) => a - b);
+    const batchSize = info.maxRecordCount;
+    const features = [];
+    let pages = 0;
+    let crs = null;
+
+    for (let i = 0; i < objectIds.length && pages < this.maxPages; i += batchSize) {
+      const batch = objectIds.slice(i, i + batchSize);
+      const page = await this.request(queryUrl, { ...params, objectIds: batch.join(',') });
+      pages++;
+      features.push(...(page.features || []));
+      crs = crs || page.crs || null;
+
+      await this.delay();
+    }
+
+    return {
+      features,
+      pages,
+      crs,
+      truncated: pages * batchSize < objectIds.length,
+      method: 'objectIds'
+    };
+  }
+
+  // Overlapping pages can occur if the service reorders results between calls
+  dedupeFeatures(features, objectIdField) {
+    const seen = new Set();
+    return features.filter(feature => {
+      const id = feature.id ?? feature.properties?.[objectIdField] ?? feature.properties?.[objectIdField.toLowerCase()];
+      if (id === undefined || id === null) return true;
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+  }
+
+  delay() {
+    return new Promise(resolve => setTimeout(resolve, this.pageDelay));
+  }
+}
+
+module.exports = ArcGISAdapter;
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Units a set-back may be given in, as metres
+const UNITS = { m: 1, km: 1000, nm: 1852 };
+
+// Set-back distances per constraint category (marine parks, harbours,
+// infrastructure...), kept in one rules file so they can be reviewed and
+// changed without touching the source list. Distances are held in metres.
+class BufferRules {
+  constructor(options = {}) {
+    this.rulesPath = options.rulesPath ||
+      process.env.BUFFER_RULES_CONFIG ||
+      path.join(__dirname, 'config', 'bufferRules.json');
+    this.categories = this.load();
+  }
+
+  load() {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.rulesPath, 'utf8');
+    } catch (error) {
+      // Without a rules file every constraint keeps its own buffer
+      console.warn(`No buffer rules at ${this.rulesPath}, using per-source buffers only`);
+      return {};
+    }
+
+    const ext = path.extname(this.rulesPath).toLowerCase();
+    const config = (ext === '.yaml' || ext === '.yml') ? yaml.load(raw) : JSON.parse(raw);
+    const entries = config?.categories;
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+      throw new Error(`Buffer rules ${this.rulesPath} must contain a "categories" object`);
+    }
+
+    const categories = {};
+    for (const [id, entry] of Object.entries(entries)) {
+      categories[id] = this.normalizeCategory(id, entry);
+    }
+    return categories;
+  }
+
+  normalizeCategory(id, entry) {
+    const unit = entry?.unit || 'm';
+    if (!UNITS[unit]) {
+      throw new Error(`Buffer category ${id} has unknown unit "${unit}" (expected one of ${Object.keys(UNITS).join(', ')})`);
+    }
+    const distance = Number(entry?.distance);
+    if (!Number.isFinite(distance) || distance < 0) {
+      throw new Error(`Buffer category ${id} needs a distance of zero or more, got ${JSON.stringify(entry?.distance)}`);
+    }
+
+    return {
+      id,
+      description: entry.description || id,
+      distance,
+      unit,
+      metres: Math.round(distance * UNITS[unit])
+    };
+  }
+
+  has(category) {
+    return Boolean(category && this.categories[category]);
+  }
+
+  get(category) {
+    return this.has(category) ? this.categories[category] : null;
+  }
+
+  list() {
+    return Object.values(this.categories);
+  }
+
+  // The set-back in metres for a constraint: its category's distance or its
+  // own buffer, whichever is larger
+  bufferFor(category, ownBuffer = 0) {
+    return Math.max(Number(ownBuffer) || 0, this.get(category)?.metres || 0);
+  }
+}
+
+BufferRules.UNITS = UNITS;
+
+module.exports = BufferRules;
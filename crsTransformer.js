@@ -0,0 +1,218 @@
+const turf = require('@turf/turf');
+
+// GDA94 to GDA2020 conformal transformation (ICSM, EPSG:8048) in proj4's
+// position-vector form. Output is treated as GDA2020, which WGS84 matches to
+// well under a metre at current epochs, so GDA94 data moves about 1.8m north-east.
+const GDA94_TO_GDA2020 = '+towgs84=0.06155,-0.01087,-0.04019,0.0394924,0.0327221,0.0328979,-0.009994';
+const GDA2020 = '+towgs84=0,0,0,0,0,0,0';
+
+const DEFINITIONS = {
+  'EPSG:4283': `+proj=longlat +ellps=GRS80 ${GDA94_TO_GDA2020} +no_defs`,
+  'EPSG:7844': `+proj=longlat +ellps=GRS80 ${GDA2020} +no_defs`
+};
+
+const NAMES = {
+  'EPSG:4326': 'WGS 84',
+  'EPSG:4283': 'GDA94',
+  'EPSG:7844': 'GDA2020',
+  'EPSG:3857': 'WGS 84 / Pseudo-Mercator'
+};
+
+// MGA zones covering WA and its offshore waters
+for (const zone of [49, 50, 51, 52]) {
+  DEFINITIONS[`EPSG:${28300 + zone}`] = `+proj=utm +zone=${zone} +south +ellps=GRS80 ${GDA94_TO_GDA2020} +units=m +no_defs`;
+  DEFINITIONS[`EPSG:${7800 + zone}`] = `+proj=utm +zone=${zone} +south +ellps=GRS80 ${GDA2020} +units=m +no_defs`;
+  NAMES[`EPSG:${28300 + zone}`] = `GDA94 / MGA zone ${zone}`;
+  NAMES[`EPSG:${7800 + zone}`] = `GDA2020 / MGA zone ${zone}`;
+}
+
+// Esri's own ids for Web Mercator
+const ESRI_ALIASES = { 102100: 3857, 102113: 3857, 900913: 3857 };
+
+// Works out which coordinate reference system a source is in and projects it
+// to WGS84 lon/lat, which every turf call in the pipeline assumes.
+// proj4 is loaded on first use, so it is only needed when a source is not
+// already in WGS84.
+class CrsTransformer {
+  constructor() {
+    this.proj4 = null;
+  }
+
+  getProj4() {
+    if (!this.proj4) {
+      this.proj4 = require('proj4');
+      for (const [code, definition] of Object.entries(DEFINITIONS)) {
+        this.proj4.defs(code, definition);
+      }
+    }
+    return this.proj4;
+  }
+
+  // Picks the CRS from the source config, then what the file or service
+  // declared (.prj, GeoPackage SRS, ArcGIS spatialReference), then the GeoJSON
+  // crs member. Undeclared data must already look like lon/lat.
+  reproject(data, options = {}) {
+    const candidates = [
+      ['config', options.configured],
+      ['declared', options.declared],
+      ['crs-member', data?.crs]
+    ];
+
+    let crs = null;
+    let from = 'assumed';
+    for (const [origin, value] of candidates) {
+      crs = this.identify(value);
+      if (crs) {
+        from = origin;
+        break;
+      }
+    }
+
+    // RFC 7946 GeoJSON is always WGS84, so the member goes once we have used it
+    const { crs: member, ...output } = data;
+
+    if (!crs) {
+      if (!this.looksGeographic(output)) {
+        throw new Error('Coordinates are not longitude/latitude and no coordinate reference system was declared; set "crs" on the source');
+      }
+      crs = 'EPSG:4326';
+    }
+
+    const summary = {
+      crs,
+      name: this.describe(crs),
+      from,
+      transformed: false,
+      datumShift: null
+    };
+
+    if (!this.isWGS84(crs)) {
+      this.transform(output, crs);
+      summary.transformed = true;
+      if (this.isGDA94(crs)) {
+        summary.datumShift = 'GDA94 to GDA2020 (EPSG:8048)';
+      }
+
+      if (!this.looksGeographic(output)) {
+        throw new Error(`Reprojecting from ${summary.name} did not produce longitude/latitude coordinates; check the declared coordinate reference system`);
+      }
+    }
+
+    return { data: output, crs: summary };
+  }
+
+  // Normalises an EPSG code, URN, OGC URL, GeoJSON crs member, ArcGIS
+  // spatialReference, proj string or WKT. Known systems come back as
+  // "EPSG:<code>"; anything else is passed through for proj4 to parse.
+  identify(definition) {
+    if (definition === null || definition === undefined || definition === '') return null;
+
+    if (typeof definition === 'number') {
+      return this.epsg(definition);
+    }
+
+    if (typeof definition === 'object') {
+      // ArcGIS spatialReference
+      if (definition.latestWkid || definition.wkid) {
+        return this.epsg(definition.latestWkid || definition.wkid);
+      }
+      if (definition.wkt) {
+        return this.identify(definition.wkt);
+      }
+      // GeoJSON 2008 crs member
+      if (definition.type === 'name') {
+        return this.identify(definition.properties?.name);
+      }
+      if (definition.type === 'EPSG') {
+        return this.epsg(definition.properties?.code);
+      }
+      console.warn(`Unsupported crs member type: ${definition.type}`);
+      return null;
+    }
+
+    const text = String(definition).trim();
+
+    if (/CRS84$/i.test(text)) return 'EPSG:4326';
+
+    const code = text.match(/^(?:EPSG:{1,2}|urn:ogc:def:crs:EPSG:[\d.]*:|https?:\/\/www\.opengis\.net\/def\/crs\/EPSG\/\d+\/)?(\d+)$/i);
+    if (code) return this.epsg(code[1]);
+
+    if (/^[A-Z]+CRS\[|^(PROJCS|GEOGCS|GEOCCS|COMPD_CS)\[/i.test(text)) {
+      return this.identifyWKT(text) || text;
+    }
+
+    return text;
+  }
+
+  epsg(code) {
+    const number = Number(code);
+    if (!Number.isInteger(number)) return null;
+    return `EPSG:${ESRI_ALIASES[number] || number}`;
+  }
+
+  // .prj files from Esri tools carry no authority codes, so the Australian
+  // systems are also recognised by name
+  identifyWKT(wkt) {
+    const authority = wkt.match(/(?:AUTHORITY|ID)\["EPSG",\s*"?(\d+)"?\]\]\s*$/i);
+    if (authority) return this.epsg(authority[1]);
+
+    const datum = /GDA[_ ]?2020/i.test(wkt) ? 2020
+      : /GDA[_ ]?(19)?94/i.test(wkt) ? 1994
+        : /WGS[_ ]?(19)?84/i.test(wkt) ? 1984
+          : null;
+    if (!datum) return null;
+
+    const projected = /^(PROJCS|PROJCRS)\[/i.test(wkt);
+    if (projected) {
+      const zone = wkt.match(/MGA[_ ]?zone[_ ]?(\d+)/i);
+      if (!zone || datum === 1984) return null;
+      const code = (datum === 2020 ? 7800 : 28300) + Number(zone[1]);
+      return DEFINITIONS[`EPSG:${code}`] ? `EPSG:${code}` : null;
+    }
+
+    return { 2020: 'EPSG:7844', 1994: 'EPSG:4283', 1984: 'EPSG:4326' }[datum];
+  }
+
+  describe(crs) {
+    if (NAMES[crs]) return NAMES[crs];
+    const wktName = crs.match(/^\w+\["([^"]+)"/);
+    if (wktName) return wktName[1];
+    return crs.length > 80 ? `${crs.slice(0, 77)}...` : crs;
+  }
+
+  isWGS84(crs) {
+    return crs === 'EPSG:4326' || crs === 'EPSG:7844';
+  }
+
+  isGDA94(crs) {
+    return crs === 'EPSG:4283' || /^EPSG:283\d\d$/.test(crs);
+  }
+
+  // Degrees in either axis order (the validator repairs swapped lat/lng);
+  // non-numeric positions are left for the validator to quarantine
+  looksGeographic(data) {
+    let geographic = true;
+    turf.coordEach(data, coordinate => {
+      const [x, y] = coordinate;
+      if (Number.isFinite(x) && Number.isFinite(y) && (Math.abs(x) > 180 || Math.abs(y) > 180)) {
+        geographic = false;
+      }
+    });
+    return geographic;
+  }
+
+  // Reprojects every position in place
+  transform(data, crs) {
+    const converter = this.getProj4()(crs, 'EPSG:4326');
+    turf.coordEach(data, coordinate => {
+      const [x, y] = converter.forward([coordinate[0], coordinate[1]]);
+      coordinate[0] = x;
+      coordinate[1] = y;
+    });
+    return data;
+  }
+}
+
+CrsTransformer.DEFINITIONS = DEFINITIONS;
+
+module.exports = CrsTransformer;
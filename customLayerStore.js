@@ -0,0 +1,309 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const turf = require('@turf/turf');
+const TemporalValidity = require('./temporalValidity');
+
+// `reference` layers (areas of interest) are shown but never constrain anything
+const ROLES = ['hard', 'soft', 'reference'];
+// Files uploaded by an operator, or shapes sketched on the map
+const ORIGINS = ['upload', 'drawn'];
+
+// Style keys a layer may set, and what each must look like. Styles end up in
+// the page's legend and map, so nothing else is accepted.
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const STYLE_KEYS = {
+  color: 'color',
+  fillColor: 'color',
+  weight: 'number',
+  opacity: 'number',
+  fillOpacity: 'number',
+  dashArray: 'dashArray'
+};
+
+// Longest note kept with a layer, in characters
+const MAX_NOTES_LENGTH = 2000;
+
+const DEFAULT_STYLES = {
+  hard: { color: '#D32F2F', weight: 2, opacity: 0.9, fillOpacity: 0.25, dashArray: '6 4' },
+  soft: { color: '#F9A825', weight: 2, opacity: 0.9, fillOpacity: 0.2, dashArray: '6 4' },
+  reference: { color: '#1E88E5', weight: 2, opacity: 0.9, fillOpacity: 0.1, dashArray: '2 4' }
+};
+
+// Operator-supplied constraint layers (temporary dredging zones, harbour
+// master directives, shapes drawn on the map) that no public service
+// publishes. Each layer is kept as GeoJSON next to the downloaded sources,
+// with its metadata in index.json.
+class CustomLayerStore {
+  constructor(options = {}) {
+    this.layerDir = options.layerDir || path.join(__dirname, 'gis_data', 'custom');
+    this.validity = options.validity || new TemporalValidity();
+    this.layers = {};
+  }
+
+  async initialize() {
+    await fs.mkdir(this.layerDir, { recursive: true });
+
+    try {
+      const index = await fs.readFile(this.indexPath(), 'utf8');
+      this.layers = JSON.parse(index);
+    } catch (error) {
+      // No uploads yet
+      this.layers = {};
+    }
+  }
+
+  indexPath() {
+    return path.join(this.layerDir, 'index.json');
+  }
+
+  async saveIndex() {
+    await fs.writeFile(this.indexPath(), JSON.stringify(this.layers, null, 2));
+  }
+
+  // Returns a list of problems with the upload metadata; empty when it is usable
+  static validateMetadata(metadata = {}) {
+    const problems = [];
+
+    if (typeof metadata.name !== 'string' || !metadata.name.trim()) {
+      problems.push('name is required');
+    }
+    if (metadata.notes !== undefined && metadata.notes !== null && typeof metadata.notes !== 'string') {
+      problems.push('notes must be a string');
+    } else if (typeof metadata.notes === 'string' && metadata.notes.length > MAX_NOTES_LENGTH) {
+      problems.push(`notes must be at most ${MAX_NOTES_LENGTH} characters`);
+    }
+    if (metadata.constraintType !== undefined && typeof metadata.constraintType !== 'string') {
+      problems.push('constraintType must be a string');
+    }
+    if (metadata.role !== undefined && !ROLES.includes(metadata.role)) {
+      problems.push(`role must be one of ${ROLES.join(', ')}`);
+    }
+    if (metadata.origin !== undefined && !ORIGINS.includes(metadata.origin)) {
+      problems.push(`origin must be one of ${ORIGINS.join(', ')}`);
+    }
+
+    const validFrom = CustomLayerStore.parseDate(metadata.validFrom);
+    const validTo = CustomLayerStore.parseDate(metadata.validTo);
+    if (validFrom === undefined) problems.push('validFrom must be a date');
+    if (validTo === undefined) problems.push('validTo must be a date');
+    if (validFrom && validTo && validTo <= validFrom) {
+      problems.push('validTo must be after validFrom');
+    }
+
+    // Recurring yearly windows, e.g. a seasonal closure uploaded by an operator
+    problems.push(...TemporalValidity.validateSpec({ schedule: metadata.schedule }));
+
+    if (metadata.buffer !== undefined && metadata.buffer !== null && metadata.buffer !== '' &&
+        !(Number(metadata.buffer) >= 0)) {
+      problems.push('buffer must be a distance in metres');
+    }
+
+    if (metadata.style !== undefined && metadata.style !== null) {
+      problems.push(...CustomLayerStore.validateStyle(metadata.style));
+    }
+
+    return problems;
+  }
+
+  static validateStyle(style) {
+    if (typeof style !== 'object' || Array.isArray(style)) return ['style must be an object'];
+
+    const problems = [];
+    for (const [key, value] of Object.entries(style)) {
+      const kind = STYLE_KEYS[key];
+      if (!kind) {
+        problems.push(`style.${key} is not supported (expected ${Object.keys(STYLE_KEYS).join(', ')})`);
+      } else if (kind === 'color' && !(typeof value === 'string' && HEX_COLOR.test(value))) {
+        problems.push(`style.${key} must be a hex colour such as #D32F2F`);
+      } else if (kind === 'number' && !(typeof value === 'number' && Number.isFinite(value) && value >= 0)) {
+        problems.push(`style.${key} must be a number of zero or more`);
+      } else if (kind === 'dashArray' && !(typeof value === 'string' && /^\d+(?:\.\d+)?(?:[ ,]+\d+(?:\.\d+)?)*$/.test(value.trim()))) {
+        problems.push(`style.${key} must be dash lengths such as "6 4"`);
+      }
+    }
+    return problems;
+  }
+
+  // The parts of a layer's style that differ from its role's default, so
+  // they can be carried over when the role changes
+  static customStyle(layer) {
+    const defaults = DEFAULT_STYLES[layer.role] || {};
+    return Object.fromEntries(Object.entries(layer.style || {}).filter(([key, value]) => defaults[key] !== value));
+  }
+
+  // Circles drawn on the map are stored as a point with a `radius` property
+  // (metres) so they stay editable as circles
+  static isCircle(feature) {
+    return feature?.geometry?.type === 'Point' && Number(feature.properties?.radius) > 0;
+  }
+
+  // The same data with circles replaced by polygons, for calculations
+  static expandCircles(data) {
+    if (!data?.features?.some(CustomLayerStore.isCircle)) return data;
+
+    return {
+      ...data,
+      features: data.features.map(feature => CustomLayerStore.isCircle(feature)
+        ? turf.circle(feature.geometry.coordinates, Number(feature.properties.radius) / 1000, {
+          steps: 64,
+          units: 'kilometers',
+          properties: feature.properties
+        })
+        : feature)
+    };
+  }
+
+  // null for an empty value, undefined for one that is not a date
+  static parseDate(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  }
+
+  list() {
+    return Object.values(this.layers)
+      .sort((a, b) => a.uploadedAt.localeCompare(b.uploadedAt));
+  }
+
+  get(id) {
+    return this.layers[id] || null;
+  }
+
+  async getData(id) {
+    const layer = this.get(id);
+    if (!layer) return null;
+    return JSON.parse(await fs.readFile(path.join(this.layerDir, layer.file), 'utf8'));
+  }
+
+  // A layer without a window or schedule is always in force. `period` is a
+  // { from, to } range or a single Date, and defaults to now.
+  isActive(layer, period) {
+    return this.validity.isActive(layer, period);
+  }
+
+  getActive(period) {
+    return this.list().filter(layer => this.isActive(layer, period));
+  }
+
+  // Same shape as SourceRegistry.getLayerDefinitions, for the frontend layer list
+  getLayerDefinitions(period) {
+    return this.list().map(layer => ({
+      id: layer.id,
+      description: layer.name,
+      url: `/api/layers/${layer.id}`,
+      role: layer.role,
+      group: layer.origin === 'drawn' ? 'User Layers' : 'Uploaded Layers',
+      style: layer.style,
+      visible: true,
+      custom: true,
+      origin: layer.origin,
+      constraintType: layer.constraintType,
+      validFrom: layer.validFrom,
+      validTo: layer.validTo,
+      schedule: layer.schedule || [],
+      buffer: layer.buffer,
+      active: this.isActive(layer, period)
+    }));
+  }
+
+  async add(metadata, data, details = {}) {
+    const id = this.generateId(metadata.name);
+    const file = `${id}.json`;
+    const serialized = JSON.stringify(data);
+    const role = metadata.role || 'hard';
+    const validFrom = CustomLayerStore.parseDate(metadata.validFrom);
+    const validTo = CustomLayerStore.parseDate(metadata.validTo);
+
+    await fs.writeFile(path.join(this.layerDir, file), serialized);
+
+    const layer = {
+      id,
+      name: metadata.name.trim(),
+      origin: metadata.origin || 'upload',
+      constraintType: metadata.constraintType || 'other',
+      role,
+      validFrom: validFrom ? validFrom.toISOString() : null,
+      validTo: validTo ? validTo.toISOString() : null,
+      schedule: metadata.schedule || [],
+      buffer: Number(metadata.buffer) || 0, // metres
+      notes: metadata.notes || null,
+      style: { ...DEFAULT_STYLES[role], ...(metadata.style || {}) },
+      uploadedAt: new Date().toISOString(),
+      features: data.features.length,
+      hash: crypto.createHash('md5').update(serialized).digest('hex'),
+      file,
+      ...details
+    };
+
+    this.layers[id] = layer;
+    await this.saveIndex();
+    return layer;
+  }
+
+  // Replaces a layer's features (after its vertices were edited) and any metadata given
+  async update(id, metadata, data) {
+    const layer = this.get(id);
+    if (!layer) return null;
+
+    if (metadata.style !== undefined && metadata.style !== null) {
+      const problems = CustomLayerStore.validateStyle(metadata.style);
+      if (problems.length > 0) throw new Error(`Invalid layer style: ${problems.join('; ')}`);
+    }
+
+    const updated = { ...layer, updatedAt: new Date().toISOString() };
+
+    if (metadata.name) updated.name = metadata.name.trim();
+    if (metadata.constraintType) updated.constraintType = metadata.constraintType;
+    if (metadata.notes !== undefined) updated.notes = metadata.notes || null;
+    if (metadata.buffer !== undefined) updated.buffer = Number(metadata.buffer) || 0;
+    if (metadata.schedule !== undefined) updated.schedule = metadata.schedule || [];
+    if (metadata.role) updated.role = metadata.role;
+    // A new role brings its default style, keeping what the layer had changed
+    if (updated.role !== layer.role || metadata.style) {
+      updated.style = {
+        ...DEFAULT_STYLES[updated.role],
+        ...CustomLayerStore.customStyle(layer),
+        ...(metadata.style || {})
+      };
+    }
+    for (const field of ['validFrom', 'validTo']) {
+      if (metadata[field] !== undefined) {
+        const date = CustomLayerStore.parseDate(metadata[field]);
+        updated[field] = date ? date.toISOString() : null;
+      }
+    }
+
+    if (data) {
+      const serialized = JSON.stringify(data);
+      await fs.writeFile(path.join(this.layerDir, layer.file), serialized);
+      updated.features = data.features.length;
+      updated.hash = crypto.createHash('md5').update(serialized).digest('hex');
+    }
+
+    this.layers[id] = updated;
+    await this.saveIndex();
+    return updated;
+  }
+
+  async remove(id) {
+    const layer = this.get(id);
+    if (!layer) return null;
+
+    delete this.layers[id];
+    await this.saveIndex();
+    await fs.unlink(path.join(this.layerDir, layer.file)).catch(() => {});
+    return layer;
+  }
+
+  generateId(name) {
+    const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+    return `custom-${slug || 'layer'}-${Date.now().toString(36)}`;
+  }
+}
+
+CustomLayerStore.ROLES = ROLES;
+CustomLayerStore.ORIGINS = ORIGINS;
+CustomLayerStore.STYLE_KEYS = Object.keys(STYLE_KEYS);
+
+module.exports = CustomLayerStore;
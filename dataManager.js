@@ -3,85 +3,56 @@ const path = require('path');
 const fetch = require('node-fetch');
 const turf = require('@turf/turf');
 const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const SourceRegistry = require('./sourceRegistry');
+const ArcGISAdapter = require('./arcgisAdapter');
+const SnapshotStore = require('./snapshotStore');
+const FeatureDiff = require('./featureDiff');
+const GeometryValidator = require('./geometryValidator');
+const GeometrySimplifier = require('./geometrySimplifier');
+const FileLoader = require('./fileLoader');
+const CrsTransformer = require('./crsTransformer');
+const CustomLayerStore = require('./customLayerStore');
+const TemporalValidity = require('./temporalValidity');
 
 class DataManager {
   constructor(options = {}) {
     this.dataDir = options.dataDir || path.join(__dirname, 'gis_data');
     this.fallbackDir = options.fallbackDir || path.join(__dirname, 'fallback_data');
     this.refreshInterval = options.refreshInterval || 24 * 60 * 60 * 1000; // 24 hours
+    this.registry = options.registry || new SourceRegistry({ configPath: options.sourcesConfig });
     this.sources = this.initializeDataSources();
+    this.arcgisAdapter = options.arcgisAdapter || new ArcGISAdapter();
+    this.fileLoader = options.fileLoader || new FileLoader();
+    this.crsTransformer = options.crsTransformer || new CrsTransformer();
+    this.snapshots = options.snapshotStore || new SnapshotStore({
+      snapshotDir: options.snapshotDir,
+      maxSnapshots: options.maxSnapshots,
+      maxAgeDays: options.snapshotMaxAgeDays
+    });
+    this.featureDiff = options.featureDiff || new FeatureDiff();
+    
+    // Downloads are limited to the study area plus a buffer (metres)
+    const studyArea = this.registry.getStudyArea();
+    this.studyAreaBBox = options.studyAreaBBox || studyArea.bbox;
+    this.clipBuffer = options.clipBuffer ?? studyArea.clipBuffer;
+    this.clipExtent = this.calculateClipExtent();
+    this.validator = options.validator || new GeometryValidator({ validBounds: studyArea.validBounds });
+    this.validationDir = options.validationDir || path.join(this.dataDir, 'validation');
+    // Validity windows and seasonal schedules are read in the study area's time zone
+    this.validity = options.validity || new TemporalValidity({ timeZone: studyArea.timeZone });
+    this.customLayers = options.customLayerStore || new CustomLayerStore({
+      layerDir: path.join(this.dataDir, 'custom'),
+      validity: this.validity
+    });
+    this.simplifier = new GeometrySimplifier();
+    this.displayCache = new NodeCache({ stdTTL: 60 * 60, useClones: false }); // simplified map layers
     this.lastRefresh = {};
   }
 
   initializeDataSources() {
-    return {
-      // Western Australia government sources
-      portAuthorities: {
-        url: "https://public-services.slip.wa.gov.au/public/rest/services/SLIP_Public_Services/Boundaries/MapServer/12/query?where=1%3D1&outFields=*&returnGeometry=true&f=geojson",
-        description: "Port Authority Areas",
-        priority: 1
-      },
-      marineParks: {
-        url: "https://services.slip.wa.gov.au/public/rest/services/Landgate_Public_Maps/Marine_Map_WA_3/MapServer/2/query?where=1%3D1&outFields=*&returnGeometry=true&f=geojson",
-        description: "Marine Parks & Reserves",
-        priority: 1
-      },
-      fishHabitat: {
-        url: "https://services.slip.wa.gov.au/public/rest/services/Landgate_Public_Maps/Marine_Map_WA_3/MapServer/4/query?where=1%3D1&outFields=*&returnGeometry=true&f=geojson",
-        description: "Fish Habitat Protection Areas",
-        priority: 1
-      },
-      cockburnSound: {
-        url: "https://services.slip.wa.gov.au/public/rest/services/Landgate_Public_Maps/Marine_Map_WA_3/MapServer/12/query?where=1%3D1&outFields=*&returnGeometry=true&f=geojson",
-        description: "Cockburn Sound Protection Area",
-        priority: 1
-      },
-      mooringAreas: {
-        url: "https://services.slip.wa.gov.au/public/rest/services/Landgate_Public_Maps/Marine_Map_WA_3/MapServer/15/query?where=1%3D1&outFields=*&returnGeometry=true&f=geojson",
-        description: "Mooring Control Areas",
-        priority: 2
-      },
-      marineInfrastructure: {
-        url: "https://services.slip.wa.gov.au/public/rest/services/Landgate_Public_Maps/Marine_Map_WA_3/MapServer/18/query?where=1%3D1&outFields=*&returnGeometry=true&f=geojson",
-        description: "Marine Infrastructure",
-        priority: 2
-      },
-      
-      // Additional sources - OpenStreetMap
-      osmHarbours: {
-        url: "https://overpass-api.de/api/interpreter?data=[out:json][timeout:25];(way[\"harbour\"=\"yes\"](around:50000,-32.05,115.73);relation[\"harbour\"=\"yes\"](around:50000,-32.05,115.73););out%20geom;",
-        description: "OSM Harbour Areas",
-        priority: 3,
-        parser: 'osm'
-      },
-      osmMarinas: {
-        url: "https://overpass-api.de/api/interpreter?data=[out:json][timeout:25];(way[\"leisure\"=\"marina\"](around:50000,-32.05,115.73);relation[\"leisure\"=\"marina\"](around:50000,-32.05,115.73););out%20geom;",
-        description: "OSM Marina Areas",
-        priority: 3,
-        parser: 'osm'
-      },
-      
-      // Australian Government sources
-      ausMarineParks: {
-        url: "https://services1.arcgis.com/VAI453sU9tG9rSmh/ArcGIS/rest/services/Australian_Marine_Parks/FeatureServer/0/query?where=1%3D1&outFields=*&returnGeometry=true&f=geojson&geometry=%7B%22xmin%22%3A115.2%2C%22ymin%22%3A-32.6%2C%22xmax%22%3A116.0%2C%22ymax%22%3A-30.9%2C%22spatialReference%22%3A%7B%22wkid%22%3A4326%7D%7D&geometryType=esriGeometryEnvelope&spatialRel=esriSpatialRelIntersects",
-        description: "Australian Marine Parks",
-        priority: 2
-      },
-      
-      // GEBCO Bathymetry
-      gebcoBathymetry: {
-        url: "https://www.gebco.net/data_and_products/gebco_web_services/web_map_service/mapserv?request=getfeature&service=wfs&version=2.0.0&typenames=gebco:gebco_2023_contours&outputformat=application/json&bbox=115.2,-32.6,116.0,-30.9,EPSG:4326",
-        description: "GEBCO Bathymetry Contours",
-        priority: 3
-      },
-      
-      // Marine Geomorphic Features (commented out due to API issues)
-      // marineGeomorphic: {
-      //   url: "https://services.ga.gov.au/gis/rest/services/Geomorphic_Features_Australia_Marine_Jurisdiction/MapServer/0/query?where=1%3D1&outFields=*&returnGeometry=true&f=geojson&geometry=%7B%22xmin%22%3A115.2%2C%22ymin%22%3A-32.6%2C%22xmax%22%3A116.0%2C%22ymax%22%3A-30.9%2C%22spatialReference%22%3A%7B%22wkid%22%3A4326%7D%7D&geometryType=esriGeometryEnvelope&spatialRel=esriSpatialRelIntersects",
-      //   description: "Marine Geomorphic Features",
-      //   priority: 2
-      // }
-    };
+    // Source definitions live in config/dataSources.json (see SourceRegistry)
+    return this.registry.getSources();
   }
 
   async initialize() {
@@ -89,9 +60,13 @@ class DataManager {
       // Create data directories
       await fs.mkdir(this.dataDir, { recursive: true });
       await fs.mkdir(this.fallbackDir, { recursive: true });
+      await fs.mkdir(this.validationDir, { recursive: true });
       
       console.log(`Data directories created: ${this.dataDir}, ${this.fallbackDir}`);
       
+      await this.snapshots.initialize();
+      await this.customLayers.initialize();
+      
       // Load metadata about last refresh times
       try {
         const metadataPath = path.join(this.dataDir, 'metadata.json');
@@ -129,27 +104,10 @@ class DataManager {
       }
     }
 
-    console.log(`Downloading data for ${key} from ${source.url}`);
+    console.log(`Downloading data for ${key} from ${source.url || source.path}`);
     
     try {
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), 60000); // 60 second timeout
-      
-      const response = await fetch(source.url, {
-        signal: controller.signal,
-        headers: {
-          'User-Agent': 'ShipCleaningGIS/1.0',
-          'Accept': 'application/json, application/geo+json'
-        }
-      });
-      
-      clearTimeout(timeout);
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      let data = await response.json();
+      let { data, retrieval } = await this.fetchSourceData(source);
       
       // Parse different data formats
       if (source.parser === 'osm') {
@@ -160,26 +118,59 @@ class DataManager {
       if (!this.isValidGeoJSON(data)) {
         throw new Error('Invalid GeoJSON response');
       }
+      
+      // Everything downstream assumes WGS84 lon/lat
+      const reprojected = this.reprojectSourceData(key, source, data, retrieval);
+      data = reprojected.data;
+      
+      // Repair or quarantine broken features before anything else touches them
+      data = await this.validateSourceData(key, data);
+      
+      // Drop and trim features outside the study area
+      let clipSummary = null;
+      if (source.clip) {
+        const featuresBefore = data.features?.length || 0;
+        data = this.clipToStudyArea(data);
+        clipSummary = {
+          bbox: this.clipExtent,
+          buffer: this.clipBuffer,
+          featuresBefore,
+          featuresAfter: data.features?.length || 0
+        };
+      }
 
-      // Clean and optimize the data
+      // Drop empty features; geometry is stored at full resolution
       data = this.cleanupGeoJSON(data);
       
       // Calculate hash for change detection
       const dataHash = crypto.createHash('md5').update(JSON.stringify(data)).digest('hex');
       
-      // Store the data
-      await fs.writeFile(dataPath, JSON.stringify(data, null, 2));
+      // Keep this download as a snapshot before touching the active copy
+      const previousSnapshot = this.snapshots.getLatest(key);
+      const snapshot = await this.snapshots.saveSnapshot(key, data, dataHash, { retrieval });
+      
+      if (previousSnapshot && previousSnapshot.id !== snapshot.id) {
+        await this.recordChanges(key, previousSnapshot.id, snapshot.id);
+      }
       
       // Update metadata
       this.lastRefresh[key] = now;
-      this.lastRefresh[`${key}_hash`] = dataHash;
-      await this.saveMetadata();
+      this.lastRefresh[`${key}_retrieval`] = retrieval;
+      this.lastRefresh[`${key}_crs`] = reprojected.crs;
+      this.lastRefresh[`${key}_clipExtent`] = clipSummary;
+      this.lastRefresh[`${key}_latestSnapshot`] = snapshot.id;
       
-      console.log(`Successfully downloaded and stored ${key} (${data.features?.length || 0} features)`);
+      // A pinned source keeps serving its pinned version until it is unpinned
+      const pinned = this.snapshots.getPinned(key);
+      if (pinned && pinned !== snapshot.id) {
+        await this.saveMetadata();
+        console.log(`${key} is pinned to snapshot ${pinned}; stored new download as ${snapshot.id} without activating it`);
+        return JSON.parse(await fs.readFile(dataPath, 'utf8'));
+      }
       
-      // Also save to fallback directory
-      const fallbackPath = path.join(this.fallbackDir, `${key}.json`);
-      await fs.writeFile(fallbackPath, JSON.stringify(data, null, 2));
+      await this.activateData(key, data, dataHash, snapshot.id);
+      
+      console.log(`Successfully downloaded and stored ${key} (${data.features?.length || 0} features)`);
       
       return data;
     } catch (error) {
@@ -198,6 +189,403 @@ class DataManager {
     }
   }
 
+  // The CRS actually used is kept with the retrieval details (and so with the
+  // snapshot), replacing the raw .prj or service declaration
+  reprojectSourceData(key, source, data, retrieval) {
+    const result = this.crsTransformer.reproject(data, {
+      configured: source.crs,
+      declared: retrieval?.crs
+    });
+
+    if (retrieval) {
+      retrieval.crs = result.crs;
+    }
+
+    if (result.crs.transformed) {
+      const shift = result.crs.datumShift ? `, ${result.crs.datumShift}` : '';
+      console.log(`Reprojected ${key} from ${result.crs.name} (${result.crs.from}) to WGS84${shift}`);
+    }
+
+    return result;
+  }
+
+  // Runs the ingest validator and keeps its report (and any quarantined
+  // features) in gis_data/validation. Throws when too much of the download is bad.
+  async validateSourceData(key, data) {
+    const { data: validated, quarantine, report } = this.validator.validate(data, { key });
+
+    await fs.writeFile(
+      path.join(this.validationDir, `${key}.json`),
+      JSON.stringify({ ...report, quarantine }, null, 2)
+    );
+
+    this.lastRefresh[`${key}_validation`] = {
+      validatedAt: report.validatedAt,
+      featuresIn: report.featuresIn,
+      featuresOut: report.featuresOut,
+      repaired: report.repaired,
+      quarantined: report.quarantined,
+      rejected: report.rejected,
+      issues: report.issues
+    };
+
+    if (report.repaired || report.quarantined) {
+      console.warn(`Validation of ${key}: ${report.repaired} features repaired, ${report.quarantined} quarantined`, report.issues);
+    }
+
+    if (report.rejected) {
+      await this.saveMetadata();
+      throw new Error(`Validation rejected ${key}: ${report.quarantined} of ${report.featuresIn} features are invalid`);
+    }
+
+    return validated;
+  }
+
+  // Puts an uploaded GeoJSON or KML file through the same reprojection and
+  // validation as downloaded sources. Throws if the upload cannot be used.
+  prepareUpload(upload) {
+    const format = upload.format || FileLoader.detectFormat(upload.filename || '');
+    let data;
+
+    if (format === 'kml') {
+      data = this.fileLoader.parseKML(String(upload.data));
+    } else if (format === 'geojson' || !format) {
+      data = typeof upload.data === 'string' ? JSON.parse(upload.data) : upload.data;
+    } else {
+      throw new Error(`Uploads must be GeoJSON or KML, not ${format}`);
+    }
+
+    data = this.fileLoader.flattenGeometryCollections(data);
+    if (!this.isValidGeoJSON(data)) {
+      throw new Error('Upload is not valid GeoJSON');
+    }
+
+    const reprojected = this.crsTransformer.reproject(data, { configured: upload.crs });
+    const { data: validated, report } = this.validator.validate(reprojected.data, { key: upload.name });
+    if (report.rejected || validated.features.length === 0) {
+      throw new Error(`Upload has no usable features (${report.quarantined} of ${report.featuresIn} invalid)`);
+    }
+
+    // Points and lines only constrain anything once buffered into areas
+    const areas = validated.features.filter(feature =>
+      /Polygon$/.test(feature.geometry.type) || CustomLayerStore.isCircle(feature)
+    );
+    if (areas.length === 0 && !(this.registry.getBufferRules().bufferFor(upload.constraintType, upload.buffer) > 0)) {
+      throw new Error('Upload has no polygons; set a buffer to turn its points or lines into exclusion areas');
+    }
+
+    return {
+      data: this.cleanupGeoJSON(validated),
+      format: format || 'geojson',
+      crs: reprojected.crs,
+      validation: {
+        featuresIn: report.featuresIn,
+        featuresOut: report.featuresOut,
+        repaired: report.repaired,
+        quarantined: report.quarantined,
+        issues: report.issues
+      }
+    };
+  }
+
+  // Configured and uploaded layers for the frontend, each marked with whether
+  // it is in force during the period (default now)
+  getLayerDefinitions(period) {
+    return [
+      ...this.registry.getLayerDefinitions().map(definition => ({
+        ...definition,
+        active: this.validity.isActive(definition.validity, period)
+      })),
+      ...this.customLayers.getLayerDefinitions(period).map(definition => ({
+        ...definition,
+        ...this.customLayerBuffer(definition)
+      }))
+    ];
+  }
+
+  // An uploaded layer's constraint type doubles as its buffer category, so a
+  // drawn environmental area gets the same set-back as a configured one
+  customLayerBuffer(layer) {
+    const rules = this.registry.getBufferRules();
+    return {
+      category: rules.has(layer.constraintType) ? layer.constraintType : null,
+      buffer: rules.bufferFor(layer.constraintType, layer.buffer)
+    };
+  }
+
+  // Uploaded and drawn layers in force during the period (default now), with
+  // their data (circles as polygons), for the zone calculation and site analysis
+  async getActiveCustomLayers(period) {
+    const layers = [];
+    for (const layer of this.customLayers.getActive(period)) {
+      if (layer.role === 'reference') continue;
+      try {
+        const data = await this.customLayers.getData(layer.id);
+        layers.push({ ...layer, ...this.customLayerBuffer(layer), data: CustomLayerStore.expandCircles(data) });
+      } catch (error) {
+        console.error(`Failed to read uploaded layer ${layer.id}:`, error);
+      }
+    }
+    return layers;
+  }
+
+  async getValidationReport(key) {
+    try {
+      const report = await fs.readFile(path.join(this.validationDir, `${key}.json`), 'utf8');
+      return JSON.parse(report);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Writes data as the active copy of a source (and its fallback) and records its version
+  async activateData(key, data, dataHash, snapshotId) {
+    const dataPath = path.join(this.dataDir, `${key}.json`);
+    const fallbackPath = path.join(this.fallbackDir, `${key}.json`);
+    
+    await fs.writeFile(dataPath, JSON.stringify(data, null, 2));
+    await fs.writeFile(fallbackPath, JSON.stringify(data, null, 2));
+    
+    this.lastRefresh[`${key}_hash`] = dataHash;
+    this.lastRefresh[`${key}_snapshot`] = snapshotId;
+    await this.saveMetadata();
+    await this.snapshots.setActive(key, snapshotId);
+  }
+
+  async rollbackSource(key, snapshotId) {
+    if (!this.sources[key]) {
+      throw new Error(`Unknown data source: ${key}`);
+    }
+    
+    const { snapshot, data } = await this.snapshots.loadSnapshot(key, snapshotId);
+    await this.activateData(key, data, snapshot.hash, snapshot.id);
+    
+    console.log(`Rolled back ${key} to snapshot ${snapshot.id}`);
+    return snapshot;
+  }
+
+  async pinSource(key, snapshotId) {
+    const snapshot = await this.rollbackSource(key, snapshotId);
+    await this.snapshots.pin(key, snapshot.id);
+    return snapshot;
+  }
+
+  async unpinSource(key) {
+    await this.snapshots.unpin(key);
+  }
+
+  // Feature-level diff between two snapshots of a source, matched on a stable id
+  async diffSnapshots(key, fromId, toId) {
+    const source = this.sources[key];
+    if (!source) {
+      throw new Error(`Unknown data source: ${key}`);
+    }
+
+    const from = await this.snapshots.loadSnapshot(key, fromId);
+    const to = await this.snapshots.loadSnapshot(key, toId);
+    const { summary, changes } = this.featureDiff.diff(from.data, to.data, { idField: source.idField });
+
+    return {
+      source: key,
+      from: from.snapshot.id,
+      to: to.snapshot.id,
+      summary,
+      changes
+    };
+  }
+
+  // Diffs a new download against the previous one and keeps the result with the snapshot
+  async recordChanges(key, fromId, toId) {
+    try {
+      const diff = await this.diffSnapshots(key, fromId, toId);
+      await this.snapshots.saveDiff(key, toId, diff);
+
+      this.lastRefresh[`${key}_changes`] = {
+        from: diff.from,
+        to: diff.to,
+        detectedAt: new Date().toISOString(),
+        ...diff.summary
+      };
+
+      const { added, removed, modified, geometryChanged } = diff.summary;
+      console.log(`${key} changed since ${fromId}: ${added} added, ${removed} removed, ${modified} modified (${geometryChanged} geometry changes)`);
+      return diff;
+    } catch (error) {
+      // A failed diff must not block storing the new data
+      console.error(`Failed to diff ${key} snapshots:`, error.message);
+      return null;
+    }
+  }
+
+  // Most recent change report for a source, or null before its second download
+  async getLatestChanges(key) {
+    const changes = this.lastRefresh[`${key}_changes`];
+    if (!changes) return null;
+    return this.snapshots.loadDiff(key, changes.to);
+  }
+
+  // Snapshot id of the active copy of every source, recorded with zone calculations
+  getActiveSnapshots() {
+    const versions = {};
+    for (const key of Object.keys(this.sources)) {
+      versions[key] = this.lastRefresh[`${key}_snapshot`] || null;
+    }
+    return versions;
+  }
+
+  // A local file, or the source's fallbackPath when the file can't be read
+  // (an authoritative dataset that hasn't been put in place yet, say). Data
+  // from the fallback is marked as such in its retrieval details.
+  async loadLocalSource(source, envelope) {
+    try {
+      return await this.fileLoader.load(source, { envelope });
+    } catch (error) {
+      if (!source.fallbackPath) throw error;
+      console.warn(`Could not read ${source.path} for ${source.id} (${error.message}); using the fallback ${source.fallbackPath}`);
+      const fallback = { ...source, path: source.fallbackPath, format: FileLoader.detectFormat(source.fallbackPath), layer: undefined };
+      const result = await this.fileLoader.load(fallback, { envelope });
+      result.retrieval.fallback = { path: source.path, reason: error.message };
+      return result;
+    }
+  }
+
+  async fetchSourceData(source) {
+    const envelope = source.clip ? this.clipExtent : null;
+    
+    if (source.adapter === 'arcgis') {
+      return this.arcgisAdapter.fetchLayer(source.url, { envelope });
+    }
+    
+    if (source.adapter === 'file') {
+      return this.loadLocalSource(source, envelope);
+    }
+    
+    const url = envelope ? this.applyWFSBBox(source.url, envelope) : source.url;
+    
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 60000); // 60 second timeout
+    
+    const response = await fetch(url, {
+      signal: controller.signal,
+      headers: {
+        'User-Agent': 'ShipCleaningGIS/1.0',
+        'Accept': 'application/json, application/geo+json'
+      }
+    });
+    
+    clearTimeout(timeout);
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    
+    // Single requests have no way of telling whether the server truncated them
+    return {
+      data,
+      retrieval: {
+        method: 'single',
+        complete: null,
+        received: data.features?.length ?? data.elements?.length ?? 0,
+        retrievedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  calculateClipExtent() {
+    const studyArea = turf.bboxPolygon(this.studyAreaBBox);
+    if (!this.clipBuffer) {
+      return this.studyAreaBBox;
+    }
+    return turf.bbox(turf.buffer(studyArea, this.clipBuffer, { units: 'meters' }));
+  }
+
+  // WFS requests take the envelope as a bbox parameter
+  applyWFSBBox(url, envelope) {
+    if (!/[?&]service=wfs/i.test(url)) return url;
+    
+    const parsed = new URL(url);
+    for (const name of Array.from(parsed.searchParams.keys())) {
+      if (name.toLowerCase() === 'bbox') parsed.searchParams.delete(name);
+    }
+    parsed.searchParams.set('bbox', `${envelope.join(',')},EPSG:4326`);
+    return parsed.toString();
+  }
+
+  clipToStudyArea(data) {
+    if (data.type !== 'FeatureCollection' || !Array.isArray(data.features)) return data;
+    
+    const [minX, minY, maxX, maxY] = this.clipExtent;
+    const features = [];
+    
+    for (const feature of data.features) {
+      if (!feature?.geometry) continue;
+      
+      let bbox;
+      try {
+        bbox = turf.bbox(feature);
+      } catch (error) {
+        continue;
+      }
+      
+      // Entirely outside the clip extent
+      if (bbox[2] < minX || bbox[0] > maxX || bbox[3] < minY || bbox[1] > maxY) continue;
+      
+      // Entirely inside, keep untouched
+      if (bbox[0] >= minX && bbox[2] <= maxX && bbox[1] >= minY && bbox[3] <= maxY) {
+        features.push(feature);
+        continue;
+      }
+      
+      const type = feature.geometry.type;
+      if (['Polygon', 'MultiPolygon', 'LineString', 'MultiLineString'].includes(type)) {
+        try {
+          const clipped = turf.bboxClip(feature, this.clipExtent);
+          if (this.pruneDegenerateParts(clipped.geometry)) {
+            features.push(clipped);
+          }
+        } catch (error) {
+          console.warn('Error clipping feature to study area:', error.message);
+          features.push(feature);
+        }
+      } else if (type === 'MultiPoint') {
+        const coordinates = feature.geometry.coordinates.filter(([x, y]) =>
+          x >= minX && x <= maxX && y >= minY && y <= maxY
+        );
+        if (coordinates.length > 0) {
+          features.push({ ...feature, geometry: { type, coordinates } });
+        }
+      }
+      // Points outside the extent were already dropped by the bbox test
+    }
+    
+    return { ...data, features };
+  }
+
+  // Removes lines and rings collapsed by clipping; returns false if nothing remains
+  pruneDegenerateParts(geometry) {
+    if (!geometry || !Array.isArray(geometry.coordinates)) return false;
+    
+    switch (geometry.type) {
+      case 'LineString':
+        return geometry.coordinates.length >= 2;
+      case 'MultiLineString':
+        geometry.coordinates = geometry.coordinates.filter(line => line.length >= 2);
+        return geometry.coordinates.length > 0;
+      case 'Polygon':
+        geometry.coordinates = geometry.coordinates.filter(ring => ring.length >= 4);
+        return geometry.coordinates.length > 0;
+      case 'MultiPolygon':
+        geometry.coordinates = geometry.coordinates
+          .map(polygon => polygon.filter(ring => ring.length >= 4))
+          .filter(polygon => polygon.length > 0);
+        return geometry.coordinates.length > 0;
+      default:
+        return geometry.coordinates.length > 0;
+    }
+  }
+
   async downloadAllData(forceRefresh = false) {
     const results = {};
     const errors = [];
@@ -238,6 +626,52 @@ class DataManager {
     }
   }
 
+  // Map display copy of a source, simplified for a web-map zoom level. The
+  // calculator and analysis use getData, which is always full resolution.
+  async getDisplayData(key, zoom) {
+    const source = this.sources[key];
+    const data = await this.getData(key);
+    if (!source || !(source.simplifyTolerance > 0)) return data;
+
+    const cacheKey = `${key}:${zoom}:${this.lastRefresh[`${key}_hash`] || 'unknown'}`;
+    const cached = this.displayCache.get(cacheKey);
+    if (cached) return cached;
+
+    const tolerance = GeometrySimplifier.toleranceForZoom(source.simplifyTolerance, zoom);
+    const simplified = this.simplifier.simplify(data, tolerance);
+    this.displayCache.set(cacheKey, simplified);
+    return simplified;
+  }
+
+  // Land polygons from every land-role source, used for the water mask and /api/coastline
+  async getCoastline() {
+    const features = [];
+    
+    for (const key of this.registry.getLandKeys()) {
+      try {
+        const data = await this.getData(key);
+        features.push(...(data.features || []).filter(f =>
+          f.geometry && (f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon')
+        ));
+      } catch (error) {
+        console.error(`Failed to load land source ${key}:`, error.message);
+      }
+    }
+    
+    if (features.length === 0) {
+      console.warn('No land polygons available; the water mask will cover the whole study area');
+    }
+    
+    return { type: 'FeatureCollection', features };
+  }
+
+  getStudyAreaFeature() {
+    const studyArea = this.registry.getStudyArea();
+    return turf.bboxPolygon(this.studyAreaBBox, {
+      properties: { type: 'Study Area', description: studyArea.description }
+    });
+  }
+
   async getAllData() {
     const data = {};
     
@@ -284,26 +718,33 @@ class DataManager {
     if (osmData.elements) {
       for (const element of osmData.elements) {
         if (element.type === 'way' && element.geometry) {
-          const coordinates = element.geometry.map(node => [node.lon, node.lat]);
+          const coordinates = this.osmGeometryToCoordinates(element.geometry);
+          if (coordinates.length < 2) continue;
+          
+          const properties = { ...(element.tags || {}), osm_type: 'way', osm_id: element.id };
+          
+          // Closed ways tagged as areas become polygons so they can act as constraints
+          const isArea = this.isClosedRing(coordinates) && coordinates.length >= 4 &&
+            this.isOSMArea(element.tags);
+          
           features.push({
             type: 'Feature',
-            properties: element.tags || {},
-            geometry: {
-              type: 'LineString',
-              coordinates
-            }
+            properties,
+            geometry: isArea
+              ? turf.rewind({ type: 'Polygon', coordinates: [coordinates] }, { reverse: false })
+              : { type: 'LineString', coordinates }
           });
         } else if (element.type === 'relation' && element.members) {
-          // Handle relations (usually multipolygons)
-          // This is simplified - proper OSM relation parsing is complex
-          const properties = element.tags || {};
+          const geometry = this.assembleOSMRelation(element);
+          if (!geometry) {
+            console.warn(`Could not assemble rings for OSM relation ${element.id}`);
+            continue;
+          }
+          
           features.push({
             type: 'Feature',
-            properties,
-            geometry: {
-              type: 'MultiPolygon',
-              coordinates: [] // Would need proper parsing
-            }
+            properties: { ...(element.tags || {}), osm_type: 'relation', osm_id: element.id },
+            geometry
           });
         }
       }
@@ -315,6 +756,118 @@ class DataManager {
     };
   }
 
+  osmGeometryToCoordinates(geometry) {
+    return (geometry || [])
+      .filter(node => node && typeof node.lon === 'number' && typeof node.lat === 'number')
+      .map(node => [node.lon, node.lat]);
+  }
+
+  isOSMArea(tags = {}) {
+    if (tags.area === 'no') return false;
+    if (tags.area === 'yes') return true;
+    
+    const areaKeys = ['harbour', 'leisure', 'landuse', 'natural', 'amenity', 'building', 'man_made', 'seamark:type'];
+    return areaKeys.some(key => tags[key] !== undefined);
+  }
+
+  isClosedRing(coordinates) {
+    if (coordinates.length < 2) return false;
+    const first = coordinates[0];
+    const last = coordinates[coordinates.length - 1];
+    return first[0] === last[0] && first[1] === last[1];
+  }
+
+  assembleOSMRelation(relation) {
+    const outerWays = [];
+    const innerWays = [];
+    
+    for (const member of relation.members) {
+      if (member.type !== 'way' || !member.geometry) continue;
+      
+      const coordinates = this.osmGeometryToCoordinates(member.geometry);
+      if (coordinates.length < 2) continue;
+      
+      // Members without a role are treated as outer, as most editors do
+      if (member.role === 'inner') {
+        innerWays.push(coordinates);
+      } else {
+        outerWays.push(coordinates);
+      }
+    }
+    
+    const outerRings = this.stitchRings(outerWays);
+    const innerRings = this.stitchRings(innerWays);
+    
+    if (outerRings.length === 0) return null;
+    
+    // Attach each hole to the first outer ring that contains it
+    const polygons = outerRings.map(ring => [ring]);
+    for (const hole of innerRings) {
+      const testPoint = turf.point(hole[0]);
+      const container = polygons.find(rings => turf.booleanPointInPolygon(testPoint, turf.polygon([rings[0]])));
+      if (container) {
+        container.push(hole);
+      } else {
+        console.warn(`Dropping inner ring of OSM relation ${relation.id} with no enclosing outer ring`);
+      }
+    }
+    
+    const geometry = polygons.length === 1
+      ? { type: 'Polygon', coordinates: polygons[0] }
+      : { type: 'MultiPolygon', coordinates: polygons };
+    
+    // Enforce right-hand rule: outer rings counter-clockwise, holes clockwise
+    return turf.rewind(geometry, { reverse: false });
+  }
+
+  // Joins way segments end-to-end into closed rings. Open chains that cannot be
+  // closed are discarded since they would produce invalid polygons.
+  stitchRings(ways) {
+    const rings = [];
+    const remaining = ways.map(way => way.slice());
+    const samePoint = (a, b) => a[0] === b[0] && a[1] === b[1];
+    
+    while (remaining.length > 0) {
+      let ring = remaining.shift();
+      
+      while (!this.isClosedRing(ring)) {
+        const tail = ring[ring.length - 1];
+        const head = ring[0];
+        let joined = false;
+        
+        for (let i = 0; i < remaining.length; i++) {
+          const way = remaining[i];
+          const wayHead = way[0];
+          const wayTail = way[way.length - 1];
+          
+          if (samePoint(tail, wayHead)) {
+            ring = ring.concat(way.slice(1));
+          } else if (samePoint(tail, wayTail)) {
+            ring = ring.concat(way.slice(0, -1).reverse());
+          } else if (samePoint(head, wayTail)) {
+            ring = way.slice(0, -1).concat(ring);
+          } else if (samePoint(head, wayHead)) {
+            ring = way.slice(1).reverse().concat(ring);
+          } else {
+            continue;
+          }
+          
+          remaining.splice(i, 1);
+          joined = true;
+          break;
+        }
+        
+        if (!joined) break;
+      }
+      
+      if (this.isClosedRing(ring) && ring.length >= 4) {
+        rings.push(ring);
+      }
+    }
+    
+    return rings;
+  }
+
   isValidGeoJSON(data) {
     if (!data || typeof data !== 'object') return false;
     
@@ -334,7 +887,7 @@ class DataManager {
     if (!data || !data.type) return data;
     
     if (data.type === 'FeatureCollection' && Array.isArray(data.features)) {
-      // Filter out invalid features and simplify
+      // Filter out invalid features
       const validFeatures = data.features
         .filter(feature => {
           if (!feature || feature.type !== 'Feature' || !feature.geometry || !feature.geometry.type) {
@@ -353,24 +906,11 @@ class DataManager {
           }
           
           return true;
-        })
-        .map(feature => {
-          // Simplify geometry if it's complex
-          try {
-            if (feature.geometry.type === 'Polygon' || feature.geometry.type === 'MultiPolygon') {
-              const simplified = turf.simplify(feature, { tolerance: 0.0001, highQuality: false });
-              return simplified;
-            }
-          } catch (error) {
-            // If simplification fails, return original
-          }
-          return feature;
         });
       
       return {
         type: 'FeatureCollection',
-        features: validFeatures,
-        ...(data.crs ? { crs: data.crs } : {})
+        features: validFeatures
       };
     }
     
@@ -396,13 +936,22 @@ class DataManager {
           features: parsed.features?.length || 0,
           lastRefresh: new Date(lastRefreshTime).toISOString(),
           age: Math.floor((Date.now() - lastRefreshTime) / 1000 / 60 / 60) + ' hours',
-          hash: this.lastRefresh[`${key}_hash`] || 'unknown'
+          hash: this.lastRefresh[`${key}_hash`] || 'unknown',
+          retrieval: this.lastRefresh[`${key}_retrieval`] || null,
+          crs: this.lastRefresh[`${key}_crs`] || null,
+          clipExtent: this.lastRefresh[`${key}_clipExtent`] || null,
+          snapshot: this.lastRefresh[`${key}_snapshot`] || null,
+          latestSnapshot: this.lastRefresh[`${key}_latestSnapshot`] || null,
+          pinned: this.snapshots.getPinned(key),
+          changes: this.lastRefresh[`${key}_changes`] || null,
+          validation: this.lastRefresh[`${key}_validation`] || null
         };
       } catch (error) {
         status[key] = {
           description: source.description,
           exists: false,
-          error: error.message
+          error: error.message,
+          validation: this.lastRefresh[`${key}_validation`] || null
         };
       }
     }
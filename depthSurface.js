@@ -0,0 +1,181 @@
+const turf = require('@turf/turf');
+
+// Attributes tried, in order, when a depth source does not name its depth
+// attribute. Elevation-style attributes are negative below the datum.
+const DEPTH_PROPERTIES = ['depth', 'DEPTH', 'Depth', 'elevation', 'ELEVATION', 'Elevation', 'contour', 'CONTOUR'];
+
+// Water depth anywhere in the study area, interpolated from depth contours.
+// The contour vertices are triangulated (a TIN) and a point's depth is read
+// off the plane of the triangle it falls in, so it varies linearly between
+// neighbouring contours. Outside the triangulation depth is unknown. Depths
+// are metres below the datum; land comes out negative.
+class DepthSurface {
+  constructor(options = {}) {
+    // Contour vertices beyond this are thinned evenly before triangulating
+    this.maxVertices = options.maxVertices || 20000;
+    this.cellSize = options.cellSize || 0.01; // ~1km index cells
+    this.sources = options.sources || []; // source ids the contours came from
+    this.triangles = [];
+    this.index = new Map();
+    this.vertexCount = 0;
+  }
+
+  static readDepth(properties, property) {
+    const names = property ? [property] : DEPTH_PROPERTIES;
+    for (const name of names) {
+      const value = properties?.[name];
+      if (value === undefined || value === null || value === '') continue;
+      const number = Number(value);
+      if (!Number.isFinite(number)) continue;
+      return /elev/i.test(name) ? -number : number;
+    }
+    return null;
+  }
+
+  // Rounded min/mean/max of a list of depths, or null without any
+  static summarize(depths) {
+    if (depths.length === 0) return null;
+    const round = value => Math.round(value * 10) / 10;
+    return {
+      minDepth: round(Math.min(...depths)),
+      meanDepth: round(depths.reduce((sum, depth) => sum + depth, 0) / depths.length),
+      maxDepth: round(Math.max(...depths))
+    };
+  }
+
+  // Triangulates the vertices of depth contours (or depth soundings given as
+  // points). `property` names the depth attribute, otherwise it is guessed.
+  build(features, property = null) {
+    const vertices = new Map();
+    for (const feature of features) {
+      if (!feature.geometry) continue;
+      const depth = DepthSurface.readDepth(feature.properties, property);
+      if (depth === null) continue;
+      for (const [lng, lat] of turf.coordAll(feature)) {
+        vertices.set(`${lng.toFixed(6)},${lat.toFixed(6)}`, turf.point([lng, lat], { depth }));
+      }
+    }
+
+    let points = [...vertices.values()];
+    if (points.length > this.maxVertices) {
+      const step = Math.ceil(points.length / this.maxVertices);
+      points = points.filter((point, i) => i % step === 0);
+    }
+    if (points.length < 3) return this.load([], points.length);
+
+    const triangles = [];
+    const tin = turf.tin(turf.featureCollection(points), 'depth');
+    for (const triangle of tin.features) {
+      const [a, b, c] = triangle.geometry.coordinates[0];
+      const det = (b[1] - c[1]) * (a[0] - c[0]) + (c[0] - b[0]) * (a[1] - c[1]);
+      if (det === 0) continue; // collinear vertices
+
+      triangles.push({
+        vertices: [a, b, c],
+        depths: [triangle.properties.a, triangle.properties.b, triangle.properties.c],
+        det
+      });
+    }
+
+    return this.load(triangles, points.length);
+  }
+
+  // Indexes triangles from build(), here or on another surface (the zone
+  // calculation's tile workers are handed the triangles of the main surface)
+  load(triangles, vertexCount = 0) {
+    this.vertexCount = vertexCount;
+    this.triangles = triangles;
+    this.index = new Map();
+    for (const entry of triangles) {
+      const [a, b, c] = entry.vertices;
+      const minCellX = Math.floor(Math.min(a[0], b[0], c[0]) / this.cellSize);
+      const maxCellX = Math.floor(Math.max(a[0], b[0], c[0]) / this.cellSize);
+      const minCellY = Math.floor(Math.min(a[1], b[1], c[1]) / this.cellSize);
+      const maxCellY = Math.floor(Math.max(a[1], b[1], c[1]) / this.cellSize);
+      for (let x = minCellX; x <= maxCellX; x++) {
+        for (let y = minCellY; y <= maxCellY; y++) {
+          const key = `${x},${y}`;
+          if (!this.index.has(key)) this.index.set(key, []);
+          this.index.get(key).push(entry);
+        }
+      }
+    }
+
+    return this;
+  }
+
+  isEmpty() {
+    return this.triangles.length === 0;
+  }
+
+  // The parts of the triangles where the interpolated depth is within
+  // [min, max] (either may be null for no limit), as polygons. Each triangle
+  // is clipped where its plane crosses min and max, so the edges follow the
+  // same interpolation depthAt reads.
+  bandPolygons(min, max) {
+    const polygons = [];
+    for (const { vertices, depths } of this.triangles) {
+      let ring = vertices.map((vertex, i) => ({ coordinates: vertex, depth: depths[i] }));
+      if (min !== null && min !== undefined) ring = clipRing(ring, depth => depth - min);
+      if (max !== null && max !== undefined) ring = clipRing(ring, depth => max - depth);
+      if (ring.length < 3) continue;
+      const coordinates = ring.map(vertex => vertex.coordinates);
+      polygons.push(turf.polygon([[...coordinates, coordinates[0]]]));
+    }
+    return polygons;
+  }
+
+  // The area the surface covers: a Delaunay triangulation fills the convex
+  // hull of its vertices. Null for an empty surface.
+  coverage() {
+    if (this.isEmpty()) return null;
+    const vertices = this.triangles.flatMap(triangle => triangle.vertices.map(vertex => turf.point(vertex)));
+    return turf.convex(turf.featureCollection(vertices));
+  }
+
+  // Interpolated depth in metres at [lng, lat], or null outside the surface
+  depthAt([lng, lat]) {
+    const candidates = this.index.get(`${Math.floor(lng / this.cellSize)},${Math.floor(lat / this.cellSize)}`) || [];
+
+    for (const { vertices: [a, b, c], depths, det } of candidates) {
+      // Barycentric weights; all non-negative when the point is inside the triangle
+      const wa = ((b[1] - c[1]) * (lng - c[0]) + (c[0] - b[0]) * (lat - c[1])) / det;
+      const wb = ((c[1] - a[1]) * (lng - c[0]) + (a[0] - c[0]) * (lat - c[1])) / det;
+      const wc = 1 - wa - wb;
+      const epsilon = -1e-12;
+      if (wa >= epsilon && wb >= epsilon && wc >= epsilon) {
+        return wa * depths[0] + wb * depths[1] + wc * depths[2];
+      }
+    }
+
+    return null;
+  }
+}
+
+// Keeps the part of a convex ring where inside(depth) >= 0, interpolating
+// new vertices where an edge crosses zero
+function clipRing(ring, inside) {
+  const clipped = [];
+  for (let i = 0; i < ring.length; i++) {
+    const current = ring[i];
+    const next = ring[(i + 1) % ring.length];
+    const a = inside(current.depth);
+    const b = inside(next.depth);
+    if (a >= 0) clipped.push(current);
+    if ((a > 0 && b < 0) || (a < 0 && b > 0)) {
+      const t = a / (a - b);
+      clipped.push({
+        coordinates: [
+          current.coordinates[0] + t * (next.coordinates[0] - current.coordinates[0]),
+          current.coordinates[1] + t * (next.coordinates[1] - current.coordinates[1])
+        ],
+        depth: current.depth + t * (next.depth - current.depth)
+      });
+    }
+  }
+  return clipped;
+}
+
+DepthSurface.DEPTH_PROPERTIES = DEPTH_PROPERTIES;
+
+module.exports = DepthSurface;
@@ -0,0 +1,130 @@
+const turf = require('@turf/turf');
+
+// Reasons a grid cell can be excluded from the recommended zones
+const REASON_TYPES = ['land', 'constraint', 'setback', 'depth'];
+
+// Keeps, for every grid cell the zone calculator rejects, the reasons it was
+// rejected: land, the constraint features it lies in, the set-backs it lies
+// in (buffers and the vessel's swing radius) and depth limits. Reasons are
+// stored once and referenced by index from the cells, as
+// [lng, lat, cellSize, [reason indexes], depth].
+class ExclusionRecorder {
+  constructor() {
+    this.reasons = [];
+    this.reasonIndex = new Map();
+    this.cells = [];
+  }
+
+  // Index of a reason, adding it the first time it is seen
+  reasonId(reason) {
+    const key = JSON.stringify(reason);
+    if (!this.reasonIndex.has(key)) {
+      this.reasonIndex.set(key, this.reasons.length);
+      this.reasons.push(reason);
+    }
+    return this.reasonIndex.get(key);
+  }
+
+  add([lng, lat], cellSize, reasons, depth = null) {
+    if (reasons.length === 0) return;
+    const ids = [...new Set(reasons.map(reason => this.reasonId(reason)))];
+    this.cells.push([lng, lat, cellSize, ids, depth === null ? null : Math.round(depth * 10) / 10]);
+  }
+
+  // Appends the cells of another recorder's record (its toJSON), such as one
+  // tile of the grid, re-indexing its reasons against this recorder's
+  merge(record) {
+    const ids = record.reasons.map(reason => this.reasonId(reason));
+    for (const [lng, lat, cellSize, reasons, depth] of record.cells) {
+      this.cells.push([lng, lat, cellSize, reasons.map(id => ids[id]), depth]);
+    }
+  }
+
+  // Cell counts per reason type, for the zone result's metadata
+  summarize() {
+    const counts = Object.fromEntries(REASON_TYPES.map(type => [type, 0]));
+    for (const [, , , ids] of this.cells) {
+      for (const type of new Set(ids.map(id => this.reasons[id].type))) counts[type]++;
+    }
+    return { cells: this.cells.length, byType: counts };
+  }
+
+  toJSON() {
+    return { reasons: this.reasons, cells: this.cells };
+  }
+
+  // Excluded cells as square polygons, optionally only those in a bbox or
+  // excluded for one of the given reason types. Each carries its reasons and
+  // the `primary` type, the first of land, constraint, set-back and depth
+  // that applies.
+  static toGeoJSON(record, options = {}) {
+    const { bbox = null, types = null } = options;
+    const features = [];
+    for (const cell of record.cells) {
+      const [lng, lat, size] = cell;
+      const half = size / 2;
+      if (bbox && (lng + half < bbox[0] || lng - half > bbox[2] || lat + half < bbox[1] || lat - half > bbox[3])) continue;
+
+      const reasons = ExclusionRecorder.cellReasons(record, cell);
+      if (types && !reasons.some(reason => types.includes(reason.type))) continue;
+      features.push(turf.bboxPolygon([lng - half, lat - half, lng + half, lat + half], {
+        properties: {
+          primary: REASON_TYPES.find(type => reasons.some(reason => reason.type === type)),
+          reasons
+        }
+      }));
+    }
+    return turf.featureCollection(features);
+  }
+
+  // The recorded reasons for the excluded cell containing a position, or null
+  // when the position was not in an excluded cell
+  static reasonsAt(record, [lng, lat]) {
+    let best = null;
+    for (const cell of record.cells) {
+      const half = cell[2] / 2;
+      if (Math.abs(lng - cell[0]) > half || Math.abs(lat - cell[1]) > half) continue;
+      // Fine cells are recorded inside coarse ones; the smallest is the most precise
+      if (!best || cell[2] < best[2]) best = cell;
+    }
+    if (!best) return null;
+    return {
+      center: [best[0], best[1]],
+      cellSize: best[2],
+      reasons: ExclusionRecorder.cellReasons(record, best)
+    };
+  }
+
+  // The recorded reasons for the excluded cells whose centres fall in a
+  // polygon, each with the number of cells it applies to
+  static reasonsWithin(record, polygon) {
+    const [minX, minY, maxX, maxY] = turf.bbox(polygon);
+    const counts = new Map();
+    let cells = 0;
+    for (const cell of record.cells) {
+      const [lng, lat] = cell;
+      if (lng < minX || lng > maxX || lat < minY || lat > maxY) continue;
+      if (!turf.booleanPointInPolygon([lng, lat], polygon)) continue;
+      cells++;
+      for (const id of cell[3]) counts.set(id, (counts.get(id) || 0) + 1);
+    }
+    return {
+      cells,
+      reasons: [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .map(([id, count]) => ({ ...record.reasons[id], cells: count }))
+    };
+  }
+
+  static cellReasons(record, [, , , ids, depth]) {
+    return ids.map(id => {
+      const reason = { ...record.reasons[id] };
+      if (reason.type === 'depth') reason.depth = depth;
+      return reason;
+    });
+  }
+}
+
+ExclusionRecorder.REASON_TYPES = REASON_TYPES;
+
+module.exports = ExclusionRecorder;
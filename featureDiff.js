@@ -0,0 +1,186 @@
+const turf = require('@turf/turf');
+
+// Attribute names that identify the same real-world feature across downloads,
+// in order of preference. Matched case-insensitively.
+const DEFAULT_ID_FIELDS = ['objectid', 'boundary_id', 'osm_id', 'oid', 'gid', 'fid', 'id'];
+
+// Compares two downloads of a source feature by feature, matching them on a
+// stable id so a moved boundary shows up as "modified" rather than as an
+// unrelated removal and addition.
+class FeatureDiff {
+  constructor(options = {}) {
+    this.idFields = options.idFields || DEFAULT_ID_FIELDS;
+    this.precision = options.precision || 7; // decimal places compared, ~1cm
+    // Derived measurements that change whenever the geometry does
+    this.ignoredAttributes = options.ignoredAttributes || [/^st_area/i, /^st_perimeter/i, /^shape_(area|length)/i, /^shape\./i];
+  }
+
+  // Picks the first candidate attribute that is present and unique in both datasets
+  findIdField(beforeFeatures, afterFeatures, preferred = null) {
+    const candidates = preferred ? [preferred, ...this.idFields] : this.idFields;
+
+    for (const candidate of candidates) {
+      const usable = [beforeFeatures, afterFeatures].every(features => {
+        if (features.length === 0) return true;
+        const values = features.map(feature => this.getAttribute(feature, candidate));
+        return values.every(value => value !== undefined && value !== null) &&
+          new Set(values.map(String)).size === values.length;
+      });
+
+      if (usable && (beforeFeatures.length || afterFeatures.length)) {
+        return candidate;
+      }
+    }
+
+    return null;
+  }
+
+  getAttribute(feature, name) {
+    const properties = feature.properties || {};
+    if (name in properties) return properties[name];
+
+    const lower = name.toLowerCase();
+    const match = Object.keys(properties).find(key => key.toLowerCase() === lower);
+    return match ? properties[match] : undefined;
+  }
+
+  featureKey(feature, idField) {
+    if (idField) return String(this.getAttribute(feature, idField));
+    // Without a stable id a feature can only be matched by its exact content
+    return JSON.stringify([feature.geometry, feature.properties]);
+  }
+
+  diff(before, after, options = {}) {
+    const beforeFeatures = before?.features || [];
+    const afterFeatures = after?.features || [];
+    const idField = this.findIdField(beforeFeatures, afterFeatures, options.idField);
+
+    const beforeById = new Map(beforeFeatures.map(feature => [this.featureKey(feature, idField), feature]));
+    const afterById = new Map(afterFeatures.map(feature => [this.featureKey(feature, idField), feature]));
+
+    const features = [];
+    const summary = {
+      idField,
+      before: beforeFeatures.length,
+      after: afterFeatures.length,
+      added: 0,
+      removed: 0,
+      modified: 0,
+      geometryChanged: 0,
+      attributesChanged: 0,
+      unchanged: 0
+    };
+
+    for (const [id, feature] of afterById) {
+      const previous = beforeById.get(id);
+
+      if (!previous) {
+        summary.added++;
+        features.push(this.changeFeature(feature, id, 'added'));
+        continue;
+      }
+
+      const geometryChanged = !this.sameGeometry(previous.geometry, feature.geometry);
+      const changedAttributes = this.changedAttributes(previous.properties, feature.properties);
+
+      if (!geometryChanged && changedAttributes.length === 0) {
+        summary.unchanged++;
+        continue;
+      }
+
+      summary.modified++;
+      if (geometryChanged) summary.geometryChanged++;
+      if (changedAttributes.length) summary.attributesChanged++;
+
+      features.push(this.changeFeature(feature, id, 'modified', {
+        _geometryChanged: geometryChanged,
+        _changedAttributes: changedAttributes.map(change => change.name),
+        _previousValues: Object.fromEntries(changedAttributes.map(change => [change.name, change.before])),
+        ...(geometryChanged ? this.areaChange(previous.geometry, feature.geometry) : {})
+      }));
+
+      // Keep the old outline so a moved boundary can be drawn against the new one
+      if (geometryChanged) {
+        features.push(this.changeFeature(previous, id, 'previous'));
+      }
+    }
+
+    for (const [id, feature] of beforeById) {
+      if (!afterById.has(id)) {
+        summary.removed++;
+        features.push(this.changeFeature(feature, id, 'removed'));
+      }
+    }
+
+    return {
+      summary,
+      changes: { type: 'FeatureCollection', features }
+    };
+  }
+
+  changeFeature(feature, id, change, details = {}) {
+    return {
+      type: 'Feature',
+      geometry: feature.geometry,
+      properties: {
+        ...feature.properties,
+        _change: change,
+        _featureId: id,
+        ...details
+      }
+    };
+  }
+
+  sameGeometry(a, b) {
+    if (!a || !b) return a === b;
+    if (a.type !== b.type) return false;
+    return JSON.stringify(this.roundCoordinates(a.coordinates)) ===
+      JSON.stringify(this.roundCoordinates(b.coordinates));
+  }
+
+  roundCoordinates(coordinates) {
+    if (typeof coordinates === 'number') {
+      return Number(coordinates.toFixed(this.precision));
+    }
+    return Array.isArray(coordinates) ? coordinates.map(value => this.roundCoordinates(value)) : coordinates;
+  }
+
+  changedAttributes(before = {}, after = {}) {
+    const names = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = [];
+
+    for (const name of names) {
+      if (this.ignoredAttributes.some(pattern => pattern.test(name))) continue;
+
+      const previous = before?.[name] ?? null;
+      const current = after?.[name] ?? null;
+      if (JSON.stringify(previous) !== JSON.stringify(current)) {
+        changes.push({ name, before: previous, after: current });
+      }
+    }
+
+    return changes;
+  }
+
+  // Area in square metres before and after, for polygon sources
+  areaChange(beforeGeometry, afterGeometry) {
+    const polygonal = geometry => geometry && (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon');
+    if (!polygonal(beforeGeometry) || !polygonal(afterGeometry)) return {};
+
+    try {
+      const areaBefore = turf.area(beforeGeometry);
+      const areaAfter = turf.area(afterGeometry);
+      return {
+        _areaBefore: Math.round(areaBefore),
+        _areaAfter: Math.round(areaAfter),
+        _areaChange: Math.round(areaAfter - areaBefore)
+      };
+    } catch (error) {
+      return {};
+    }
+  }
+}
+
+FeatureDiff.DEFAULT_ID_FIELDS = DEFAULT_ID_FIELDS;
+
+module.exports = FeatureDiff;
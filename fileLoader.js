@@ -0,0 +1,340 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// File extensions and the format they are read as. A .zip is expected to
+// hold a shapefile (.shp, .dbf and usually .prj).
+const FORMATS = {
+  '.geojson': 'geojson',
+  '.json': 'geojson',
+  '.shp': 'shapefile',
+  '.zip': 'shapefile',
+  '.kml': 'kml',
+  '.kmz': 'kmz',
+  '.gpkg': 'geopackage'
+};
+
+// Reads local data files as GeoJSON so they go through the same
+// reprojection, validation, clipping and storage as downloaded sources.
+// The CRS declared by the file (.prj, GeoPackage SRS) is returned alongside
+// the data. Format libraries are required when first needed, so a deployment
+// only needs the ones for the formats it actually uses.
+class FileLoader {
+  static detectFormat(filePath) {
+    return FORMATS[path.extname(filePath || '').toLowerCase()] || null;
+  }
+
+  // options.envelope ([minX, minY, maxX, maxY] in lon/lat) lets a shapefile
+  // in geographic coordinates skip the records outside it as it is read, so
+  // a national or global coastline only keeps the study area in memory
+  async load(source, options = {}) {
+    const format = source.format || FileLoader.detectFormat(source.path);
+    let result;
+
+    switch (format) {
+      case 'geojson':
+        result = await this.loadGeoJSON(source);
+        break;
+      case 'shapefile':
+        result = await this.loadShapefile(source, options.envelope);
+        break;
+      case 'kml':
+        result = { data: this.parseKML(await fs.readFile(source.path, 'utf8')) };
+        break;
+      case 'kmz':
+        result = await this.loadKMZ(source);
+        break;
+      case 'geopackage':
+        result = await this.loadGeoPackage(source);
+        break;
+      default:
+        throw new Error(`Unsupported file format for ${source.path} (expected one of ${[...new Set(Object.values(FORMATS))].join(', ')})`);
+    }
+
+    const data = this.flattenGeometryCollections(result.data);
+    const stats = await fs.stat(source.path);
+
+    return {
+      data,
+      retrieval: {
+        method: 'file',
+        format,
+        complete: true,
+        path: source.path,
+        layer: result.layer || null,
+        crs: result.crs || null,
+        received: data.features?.length ?? 0,
+        modifiedAt: stats.mtime.toISOString(),
+        retrievedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  async loadGeoJSON(source) {
+    // Any crs member stays on the data for DataManager to read
+    return { data: JSON.parse(await fs.readFile(source.path, 'utf8')) };
+  }
+
+  async loadShapefile(source, envelope = null) {
+    const shapefile = require('shapefile');
+    let parts;
+
+    if (path.extname(source.path).toLowerCase() === '.zip') {
+      parts = await this.readZippedShapefile(source);
+    } else {
+      const base = source.path.slice(0, -path.extname(source.path).length);
+      parts = {
+        layer: path.basename(base),
+        shp: source.path,
+        dbf: await this.siblingFile(base, '.dbf') ? `${base}.dbf` : undefined,
+        prj: await this.readOptional(`${base}.prj`),
+        cpg: await this.readOptional(`${base}.cpg`)
+      };
+    }
+
+    const encoding = source.encoding || parts.cpg?.trim() || undefined;
+    // Projected coordinates can't be compared with the envelope until reprojected
+    const geographic = !parts.prj || /^\s*GEOGCS/i.test(parts.prj);
+    if (!envelope || !geographic) {
+      const data = await shapefile.read(parts.shp, parts.dbf, encoding ? { encoding } : undefined);
+      return { data, crs: parts.prj || null, layer: parts.layer };
+    }
+
+    const reader = await shapefile.open(parts.shp, parts.dbf, encoding ? { encoding } : undefined);
+    const features = [];
+    let skipped = 0;
+    for (let record = await reader.read(); !record.done; record = await reader.read()) {
+      if (FileLoader.overlaps(record.value, envelope)) {
+        features.push(record.value);
+      } else {
+        skipped++;
+      }
+    }
+    if (skipped > 0) {
+      console.log(`Skipped ${skipped} records of ${parts.layer} outside the study area`);
+    }
+    return { data: { type: 'FeatureCollection', features }, crs: parts.prj || null, layer: parts.layer };
+  }
+
+  // Whether any vertex range of a feature reaches into an envelope
+  static overlaps(feature, [minX, minY, maxX, maxY]) {
+    if (!feature?.geometry) return false;
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    const visit = coordinates => {
+      if (typeof coordinates[0] === 'number') {
+        bbox[0] = Math.min(bbox[0], coordinates[0]);
+        bbox[1] = Math.min(bbox[1], coordinates[1]);
+        bbox[2] = Math.max(bbox[2], coordinates[0]);
+        bbox[3] = Math.max(bbox[3], coordinates[1]);
+      } else {
+        coordinates.forEach(visit);
+      }
+    };
+    const geometries = feature.geometry.type === 'GeometryCollection' ? feature.geometry.geometries : [feature.geometry];
+    geometries.forEach(geometry => visit(geometry.coordinates));
+    return bbox[0] <= maxX && bbox[2] >= minX && bbox[1] <= maxY && bbox[3] >= minY;
+  }
+
+  async readZippedShapefile(source) {
+    const JSZip = require('jszip');
+    const zip = await JSZip.loadAsync(await fs.readFile(source.path));
+
+    const shpFiles = zip.file(/\.shp$/i).filter(file => !file.name.startsWith('__MACOSX/'));
+    const shp = source.layer
+      ? shpFiles.find(file => path.basename(file.name, path.extname(file.name)) === source.layer)
+      : shpFiles[0];
+
+    if (!shp) {
+      throw new Error(source.layer
+        ? `No shapefile named ${source.layer} in ${source.path}`
+        : `No shapefile found in ${source.path}`);
+    }
+
+    const base = shp.name.slice(0, -4);
+    const sibling = ext => Object.values(zip.files)
+      .find(file => file.name.toLowerCase() === `${base}${ext}`.toLowerCase());
+    const dbf = sibling('.dbf');
+    const prj = sibling('.prj');
+    const cpg = sibling('.cpg');
+
+    return {
+      layer: path.basename(base),
+      shp: await shp.async('uint8array'),
+      dbf: dbf ? await dbf.async('uint8array') : undefined,
+      prj: prj ? await prj.async('string') : null,
+      cpg: cpg ? await cpg.async('string') : null
+    };
+  }
+
+  parseKML(text) {
+    const { DOMParser } = require('@xmldom/xmldom');
+    const { kml } = require('@tmcw/togeojson');
+    const doc = new DOMParser().parseFromString(text, 'text/xml');
+    return kml(doc);
+  }
+
+  async loadKMZ(source) {
+    const JSZip = require('jszip');
+    const zip = await JSZip.loadAsync(await fs.readFile(source.path));
+
+    // The main document is doc.kml by convention, otherwise the first .kml in the archive
+    const entry = zip.file(/(^|\/)doc\.kml$/i)[0] || zip.file(/\.kml$/i)[0];
+    if (!entry) {
+      throw new Error(`No KML document found in ${source.path}`);
+    }
+
+    return { data: this.parseKML(await entry.async('string')), layer: entry.name };
+  }
+
+  async loadGeoPackage(source) {
+    const initSqlJs = require('sql.js');
+    const SQL = await initSqlJs();
+    const db = new SQL.Database(new Uint8Array(await fs.readFile(source.path)));
+
+    try {
+      const layers = this.query(db, `
+        SELECT g.table_name, g.column_name, g.srs_id
+        FROM gpkg_geometry_columns g
+        JOIN gpkg_contents c ON c.table_name = g.table_name
+        WHERE c.data_type = 'features'
+        ORDER BY g.table_name`);
+
+      const layer = source.layer
+        ? layers.find(row => row.table_name === source.layer)
+        : layers[0];
+
+      if (!layer) {
+        const available = layers.map(row => row.table_name).join(', ') || 'none';
+        throw new Error(`Feature table ${source.layer || ''} not found in ${source.path} (available: ${available})`);
+      }
+
+      const [srs] = this.query(db,
+        'SELECT organization, organization_coordsys_id, definition FROM gpkg_spatial_ref_sys WHERE srs_id = ?',
+        [layer.srs_id]);
+
+      const quote = name => `"${String(name).replace(/"/g, '""')}"`;
+      const rows = this.query(db, `SELECT * FROM ${quote(layer.table_name)}`);
+
+      const features = rows.map(row => {
+        const { [layer.column_name]: blob, ...properties } = row;
+        return {
+          type: 'Feature',
+          properties,
+          geometry: blob ? this.parseGeoPackageGeometry(blob) : null
+        };
+      });
+
+      return {
+        data: { type: 'FeatureCollection', features },
+        crs: this.geoPackageCrs(srs),
+        layer: layer.table_name
+      };
+    } finally {
+      db.close();
+    }
+  }
+
+  query(db, sql, params = []) {
+    const statement = db.prepare(sql);
+    const rows = [];
+    try {
+      statement.bind(params);
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+    } finally {
+      statement.free();
+    }
+    return rows;
+  }
+
+  geoPackageCrs(srs) {
+    if (!srs) return null;
+    if (String(srs.organization).toUpperCase() === 'EPSG') {
+      // The WKT is more useful to proj4 than a bare EPSG code it may not know
+      if (srs.definition && srs.definition !== 'undefined') return srs.definition;
+      return `EPSG:${srs.organization_coordsys_id}`;
+    }
+    return srs.definition && srs.definition !== 'undefined' ? srs.definition : null;
+  }
+
+  // GeoPackage geometry blobs are a small "GP" header and envelope followed by standard WKB
+  parseGeoPackageGeometry(blob) {
+    const buffer = Buffer.from(blob.buffer, blob.byteOffset, blob.byteLength);
+    if (buffer.toString('ascii', 0, 2) !== 'GP') {
+      throw new Error('Not a GeoPackage geometry blob');
+    }
+
+    const flags = buffer[3];
+    if (flags & 0x10) return null; // empty geometry
+
+    const envelopeSizes = [0, 32, 48, 48, 64];
+    const envelopeSize = envelopeSizes[(flags >> 1) & 0x07];
+    if (envelopeSize === undefined) {
+      throw new Error('Invalid GeoPackage envelope indicator');
+    }
+
+    const wkx = require('wkx');
+    return wkx.Geometry.parse(buffer.subarray(8 + envelopeSize)).toGeoJSON();
+  }
+
+  // KML MultiGeometry arrives as a GeometryCollection, which the rest of the
+  // pipeline does not handle; merge same-typed parts or split mixed ones
+  flattenGeometryCollections(data) {
+    if (!data?.features) return data;
+
+    const features = [];
+    for (const feature of data.features) {
+      if (feature.geometry?.type !== 'GeometryCollection') {
+        features.push(feature);
+        continue;
+      }
+
+      const groups = {};
+      for (const geometry of this.collectGeometries(feature.geometry)) {
+        const base = geometry.type.replace(/^Multi/, '');
+        const parts = geometry.type.startsWith('Multi') ? geometry.coordinates : [geometry.coordinates];
+        (groups[base] = groups[base] || []).push(...parts);
+      }
+
+      for (const [type, parts] of Object.entries(groups)) {
+        features.push({
+          ...feature,
+          geometry: parts.length === 1
+            ? { type, coordinates: parts[0] }
+            : { type: `Multi${type}`, coordinates: parts }
+        });
+      }
+    }
+
+    return { ...data, features };
+  }
+
+  collectGeometries(geometry) {
+    if (!geometry) return [];
+    if (geometry.type === 'GeometryCollection') {
+      return (geometry.geometries || []).flatMap(child => this.collectGeometries(child));
+    }
+    return [geometry];
+  }
+
+  async siblingFile(base, ext) {
+    try {
+      await fs.access(`${base}${ext}`);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async readOptional(filePath) {
+    try {
+      return await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+FileLoader.FORMATS = FORMATS;
+
+module.exports = FileLoader;
@@ -0,0 +1,236 @@
+// Simplifies a whole layer for display without opening gaps between
+// neighbouring features. turf.simplify works on one feature at a time, so two
+// reserves sharing a boundary are simplified differently and pull apart.
+// Here every vertex where boundaries meet or split is kept fixed, and each
+// run of vertices between fixed points is simplified once in a canonical
+// direction, so a shared edge comes out identical in both features.
+class GeometrySimplifier {
+  // Screen pixels are converted to degrees at a given web-map zoom level
+  static toleranceForZoom(pixels, zoom) {
+    return pixels * 360 / (256 * Math.pow(2, zoom));
+  }
+
+  simplify(data, tolerance) {
+    if (!data?.features || !(tolerance > 0)) return data;
+
+    const paths = [];
+    data.features.forEach(feature => this.collectPaths(feature.geometry, paths));
+
+    const fixed = this.findFixedVertices(paths);
+    const sqTolerance = tolerance * tolerance;
+
+    const simplifyPath = (positions, closed) => {
+      const result = closed
+        ? this.simplifyRing(positions, fixed, sqTolerance)
+        : this.simplifyLine(positions, fixed, sqTolerance);
+      return result.length >= (closed ? 4 : 2) ? result : positions;
+    };
+
+    return {
+      ...data,
+      features: data.features.map(feature => ({
+        ...feature,
+        geometry: this.mapGeometry(feature.geometry, simplifyPath)
+      }))
+    };
+  }
+
+  collectPaths(geometry, paths) {
+    if (!geometry) return;
+    switch (geometry.type) {
+      case 'LineString':
+        paths.push({ positions: geometry.coordinates, closed: false });
+        break;
+      case 'MultiLineString':
+        geometry.coordinates.forEach(line => paths.push({ positions: line, closed: false }));
+        break;
+      case 'Polygon':
+        geometry.coordinates.forEach(ring => paths.push({ positions: ring, closed: true }));
+        break;
+      case 'MultiPolygon':
+        geometry.coordinates.forEach(polygon =>
+          polygon.forEach(ring => paths.push({ positions: ring, closed: true }))
+        );
+        break;
+    }
+  }
+
+  mapGeometry(geometry, simplifyPath) {
+    if (!geometry) return geometry;
+    switch (geometry.type) {
+      case 'LineString':
+        return { ...geometry, coordinates: simplifyPath(geometry.coordinates, false) };
+      case 'MultiLineString':
+        return { ...geometry, coordinates: geometry.coordinates.map(line => simplifyPath(line, false)) };
+      case 'Polygon':
+        return { ...geometry, coordinates: geometry.coordinates.map(ring => simplifyPath(ring, true)) };
+      case 'MultiPolygon':
+        return {
+          ...geometry,
+          coordinates: geometry.coordinates.map(polygon => polygon.map(ring => simplifyPath(ring, true)))
+        };
+      default:
+        return geometry;
+    }
+  }
+
+  key(position) {
+    return `${position[0]},${position[1]}`;
+  }
+
+  // A vertex with anything other than exactly two distinct neighbours, across
+  // every path in the layer, is where boundaries join or part ways
+  findFixedVertices(paths) {
+    const neighbours = new Map();
+    const fixed = new Set();
+
+    const link = (position, neighbour) => {
+      const key = this.key(position);
+      if (!neighbours.has(key)) neighbours.set(key, new Set());
+      if (neighbour) neighbours.get(key).add(this.key(neighbour));
+    };
+
+    for (const { positions, closed } of paths) {
+      const count = closed ? positions.length - 1 : positions.length;
+      for (let i = 0; i < count; i++) {
+        const previous = i > 0 ? positions[i - 1] : (closed ? positions[count - 1] : null);
+        const next = i < count - 1 ? positions[i + 1] : (closed ? positions[0] : null);
+        link(positions[i], previous);
+        link(positions[i], next);
+      }
+
+      if (!closed && positions.length > 0) {
+        fixed.add(this.key(positions[0]));
+        fixed.add(this.key(positions[positions.length - 1]));
+      }
+    }
+
+    for (const [key, adjacent] of neighbours) {
+      if (adjacent.size !== 2) fixed.add(key);
+    }
+
+    return fixed;
+  }
+
+  simplifyLine(positions, fixed, sqTolerance) {
+    const breaks = [];
+    positions.forEach((position, i) => {
+      if (i === 0 || i === positions.length - 1 || fixed.has(this.key(position))) breaks.push(i);
+    });
+    return this.simplifyChains(positions, breaks, sqTolerance);
+  }
+
+  simplifyRing(ring, fixed, sqTolerance) {
+    const count = ring.length - 1;
+    if (count < 3) return ring;
+
+    let breaks = [];
+    for (let i = 0; i < count; i++) {
+      if (fixed.has(this.key(ring[i]))) breaks.push(i);
+    }
+
+    // A ring that touches nothing gets two anchors chosen from its shape alone,
+    // so an identical ring elsewhere (a hole matching a neighbour) is anchored the same way
+    if (breaks.length < 2) {
+      const first = breaks.length ? breaks[0] : this.lowestVertex(ring, count);
+      breaks = [first, this.farthestVertex(ring, count, first)].sort((a, b) => a - b);
+    }
+
+    // Rotate so the ring starts and ends on an anchor
+    const start = breaks[0];
+    const rotated = [...ring.slice(start, count), ...ring.slice(0, start), ring[start]];
+    const rotatedBreaks = [...breaks.map(i => i - start), count];
+
+    return this.simplifyChains(rotated, rotatedBreaks, sqTolerance);
+  }
+
+  lowestVertex(ring, count) {
+    let best = 0;
+    for (let i = 1; i < count; i++) {
+      if (ring[i][0] < ring[best][0] || (ring[i][0] === ring[best][0] && ring[i][1] < ring[best][1])) best = i;
+    }
+    return best;
+  }
+
+  farthestVertex(ring, count, from) {
+    let best = from === 0 ? 1 : 0;
+    let bestDistance = -1;
+    for (let i = 0; i < count; i++) {
+      const dx = ring[i][0] - ring[from][0];
+      const dy = ring[i][1] - ring[from][1];
+      const distance = dx * dx + dy * dy;
+      if (i !== from && distance > bestDistance) {
+        best = i;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  simplifyChains(positions, breaks, sqTolerance) {
+    const result = [positions[0]];
+    for (let b = 0; b < breaks.length - 1; b++) {
+      const chain = positions.slice(breaks[b], breaks[b + 1] + 1);
+      result.push(...this.simplifyChain(chain, sqTolerance).slice(1));
+    }
+    return result;
+  }
+
+  // Douglas-Peucker, always run from the lexically smaller end so a chain
+  // shared by two features is reduced to the same vertices in both
+  simplifyChain(chain, sqTolerance) {
+    if (chain.length <= 2) return chain;
+
+    const reversed = this.key(chain[0]) > this.key(chain[chain.length - 1]);
+    const points = reversed ? [...chain].reverse() : chain;
+
+    const keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[points.length - 1] = 1;
+
+    const stack = [[0, points.length - 1]];
+    while (stack.length) {
+      const [first, last] = stack.pop();
+      let maxDistance = 0;
+      let index = -1;
+
+      for (let i = first + 1; i < last; i++) {
+        const distance = this.sqSegmentDistance(points[i], points[first], points[last]);
+        if (distance > maxDistance) {
+          index = i;
+          maxDistance = distance;
+        }
+      }
+
+      if (maxDistance > sqTolerance) {
+        keep[index] = 1;
+        stack.push([first, index], [index, last]);
+      }
+    }
+
+    const simplified = points.filter((point, i) => keep[i]);
+    return reversed ? simplified.reverse() : simplified;
+  }
+
+  sqSegmentDistance(point, a, b) {
+    let [x, y] = a;
+    let dx = b[0] - x;
+    let dy = b[1] - y;
+
+    if (dx !== 0 || dy !== 0) {
+      const t = ((point[0] - x) * dx + (point[1] - y) * dy) / (dx * dx + dy * dy);
+      if (t > 1) {
+        [x, y] = b;
+      } else if (t > 0) {
+        x += dx * t;
+        y += dy * t;
+      }
+    }
+
+    dx = point[0] - x;
+    dy = point[1] - y;
+    return dx * dx + dy * dy;
+  }
+}
+
+module.exports = GeometrySimplifier;
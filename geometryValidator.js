@@ -0,0 +1,321 @@
+const turf = require('@turf/turf');
+
+const GEOMETRY_TYPES = ['Point', 'LineString', 'Polygon', 'MultiPoint', 'MultiLineString', 'MultiPolygon'];
+const MAX_REPORTED_ISSUES = 200;
+
+// Checks every ingested feature before it is stored. Problems that can be
+// fixed safely (unclosed rings, duplicate vertices, swapped lat/lng, self-
+// intersections) are repaired; anything else is quarantined so it never
+// reaches turf.union/difference in the zone calculation.
+class GeometryValidator {
+  constructor(options = {}) {
+    // Anything outside this envelope cannot belong to a WA dataset
+    this.validBounds = options.validBounds || [112.0, -35.5, 129.5, -13.5];
+    // More rejects than this means the whole download is suspect
+    this.maxRejectRatio = options.maxRejectRatio ?? 0.5;
+  }
+
+  validate(input, context = {}) {
+    const features = this.toFeatures(input);
+    const report = {
+      source: context.key || null,
+      validatedAt: new Date().toISOString(),
+      featuresIn: features.length,
+      featuresOut: 0,
+      repaired: 0,
+      quarantined: 0,
+      issues: {},
+      details: []
+    };
+
+    const valid = [];
+    const quarantined = [];
+
+    features.forEach((feature, index) => {
+      const issues = [];
+      const result = this.validateFeature(feature, issues);
+
+      issues.forEach(issue => {
+        report.issues[issue.type] = (report.issues[issue.type] || 0) + 1;
+        if (report.details.length < MAX_REPORTED_ISSUES) {
+          report.details.push({ index, id: this.featureId(feature), ...issue });
+        }
+      });
+
+      if (result) {
+        if (issues.length > 0) report.repaired++;
+        valid.push(result);
+      } else {
+        report.quarantined++;
+        quarantined.push({
+          ...feature,
+          properties: {
+            ...(feature?.properties || {}),
+            _quarantineReason: issues.map(issue => issue.type).join(', ')
+          }
+        });
+      }
+    });
+
+    report.featuresOut = valid.length;
+    report.rejected = report.featuresIn > 0 && report.quarantined / report.featuresIn > this.maxRejectRatio;
+
+    return {
+      data: { type: 'FeatureCollection', features: valid },
+      quarantine: { type: 'FeatureCollection', features: quarantined },
+      report
+    };
+  }
+
+  toFeatures(input) {
+    if (!input) return [];
+    if (input.type === 'FeatureCollection') return input.features || [];
+    if (input.type === 'Feature') return [input];
+    return [{ type: 'Feature', properties: {}, geometry: input }];
+  }
+
+  featureId(feature) {
+    const properties = feature?.properties || {};
+    return feature?.id ?? properties.objectid ?? properties.OBJECTID ?? properties.osm_id ?? null;
+  }
+
+  // Returns the (possibly repaired) feature, or null if it has to be quarantined
+  validateFeature(feature, issues) {
+    const geometry = feature?.geometry;
+
+    if (!feature || feature.type !== 'Feature' || !geometry || !GEOMETRY_TYPES.includes(geometry.type)) {
+      issues.push({ type: 'invalid-geometry-type', action: 'quarantined', detail: geometry?.type || 'missing geometry' });
+      return null;
+    }
+
+    if (!this.hasFiniteCoordinates(geometry.coordinates)) {
+      issues.push({ type: 'invalid-coordinates', action: 'quarantined' });
+      return null;
+    }
+
+    let repaired = this.cleanCoordinates(geometry, issues);
+    if (!repaired) return null;
+
+    repaired = this.fixAxisOrder(repaired, issues);
+
+    if (!this.withinValidBounds(repaired)) {
+      issues.push({ type: 'outside-valid-bounds', action: 'quarantined', detail: turf.bbox(repaired) });
+      return null;
+    }
+
+    if (repaired.type === 'Polygon' || repaired.type === 'MultiPolygon') {
+      repaired = this.fixSelfIntersections(repaired, issues);
+      if (!repaired) return null;
+    }
+
+    return { ...feature, geometry: repaired };
+  }
+
+  hasFiniteCoordinates(coordinates) {
+    if (!Array.isArray(coordinates) || coordinates.length === 0) return false;
+    if (typeof coordinates[0] === 'number') {
+      return coordinates.length >= 2 && coordinates.every(value => Number.isFinite(value));
+    }
+    return coordinates.every(child => this.hasFiniteCoordinates(child));
+  }
+
+  // Removes repeated vertices, closes rings and drops parts too short to be valid
+  cleanCoordinates(geometry, issues) {
+    let duplicates = 0;
+    let closed = 0;
+    let dropped = 0;
+
+    const dedupe = positions => positions.filter((position, i) => {
+      const previous = positions[i - 1];
+      const repeated = previous && previous[0] === position[0] && previous[1] === position[1];
+      if (repeated) duplicates++;
+      return !repeated;
+    });
+
+    const cleanRing = ring => {
+      const positions = dedupe(ring);
+      const first = positions[0];
+      const last = positions[positions.length - 1];
+      if (positions.length > 1 && (first[0] !== last[0] || first[1] !== last[1])) {
+        positions.push([...first]);
+        closed++;
+      }
+      return positions;
+    };
+
+    // A shell that collapses loses the polygon; a collapsed hole is just dropped
+    const cleanPolygon = rings => {
+      const cleaned = rings.map(cleanRing);
+      if (cleaned[0].length < 4) return null;
+      const holes = cleaned.slice(1).filter(ring => {
+        if (ring.length >= 4) return true;
+        dropped++;
+        return false;
+      });
+      return [cleaned[0], ...holes];
+    };
+
+    const cleanLine = line => {
+      const positions = dedupe(line);
+      return positions.length >= 2 ? positions : null;
+    };
+
+    const keepParts = parts => parts.filter(part => {
+      if (part) return true;
+      dropped++;
+      return false;
+    });
+
+    let coordinates;
+    switch (geometry.type) {
+      case 'Point':
+      case 'MultiPoint':
+        coordinates = geometry.coordinates;
+        break;
+      case 'LineString':
+        coordinates = cleanLine(geometry.coordinates);
+        break;
+      case 'MultiLineString':
+        coordinates = keepParts(geometry.coordinates.map(cleanLine));
+        break;
+      case 'Polygon':
+        coordinates = cleanPolygon(geometry.coordinates);
+        break;
+      case 'MultiPolygon':
+        coordinates = keepParts(geometry.coordinates.map(cleanPolygon));
+        break;
+    }
+
+    if (duplicates) issues.push({ type: 'duplicate-vertices', action: 'repaired', detail: duplicates });
+    if (closed) issues.push({ type: 'unclosed-ring', action: 'repaired', detail: closed });
+    if (dropped) issues.push({ type: 'degenerate-part', action: 'repaired', detail: dropped });
+
+    if (!coordinates || coordinates.length === 0) {
+      issues.push({ type: 'degenerate-geometry', action: 'quarantined' });
+      return null;
+    }
+
+    return { type: geometry.type, coordinates };
+  }
+
+  // Lat/lng swapped is detectable because WA latitudes are never valid WA longitudes
+  fixAxisOrder(geometry, issues) {
+    if (this.withinValidBounds(geometry)) return geometry;
+
+    const swapped = {
+      type: geometry.type,
+      coordinates: this.mapPositions(geometry.coordinates, ([x, y, ...rest]) => [y, x, ...rest])
+    };
+
+    if (this.withinValidBounds(swapped)) {
+      issues.push({ type: 'axis-order', action: 'repaired' });
+      return swapped;
+    }
+    return geometry;
+  }
+
+  mapPositions(coordinates, fn) {
+    if (typeof coordinates[0] === 'number') return fn(coordinates);
+    return coordinates.map(child => this.mapPositions(child, fn));
+  }
+
+  withinValidBounds(geometry) {
+    const [minX, minY, maxX, maxY] = turf.bbox(geometry);
+    const [boundsMinX, boundsMinY, boundsMaxX, boundsMaxY] = this.validBounds;
+    return minX >= boundsMinX && maxX <= boundsMaxX && minY >= boundsMinY && maxY <= boundsMaxY;
+  }
+
+  // Splits self-intersecting rings at their crossings and dissolves the
+  // pieces. Each polygon's exterior is repaired on its own and its holes are
+  // cut out again afterwards, so a repair never fills a hole; a polygon whose
+  // holes cannot be kept is quarantined.
+  fixSelfIntersections(geometry, issues) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    if (!polygons.some(rings => rings.some(ring => this.ringSelfIntersects(ring)))) {
+      return geometry;
+    }
+
+    try {
+      const parts = polygons.map(rings => this.repairPolygon(rings));
+      if (parts.some(part => !part)) {
+        issues.push({ type: 'self-intersection', action: 'quarantined', detail: 'holes could not be kept' });
+        return null;
+      }
+      const repaired = parts.reduce((merged, part) => merged ? turf.union(merged, part) : part, null);
+
+      if (repaired && turf.area(repaired) > 0) {
+        const repairedPolygons = repaired.geometry.type === 'Polygon'
+          ? [repaired.geometry.coordinates]
+          : repaired.geometry.coordinates;
+
+        if (!repairedPolygons.some(rings => rings.some(ring => this.ringSelfIntersects(ring)))) {
+          issues.push({ type: 'self-intersection', action: 'repaired' });
+          return repaired.geometry;
+        }
+      }
+    } catch (error) {
+      // Fall through to quarantine
+    }
+
+    issues.push({ type: 'self-intersection', action: 'quarantined' });
+    return null;
+  }
+
+  // The repaired exterior of one polygon minus its repaired holes, or null
+  // when a hole does not survive the cut
+  repairPolygon([exterior, ...holes]) {
+    let repaired = this.dissolveRing(exterior);
+    for (const hole of holes) {
+      if (!repaired) return null;
+      const cut = this.dissolveRing(hole);
+      repaired = turf.difference(repaired, cut);
+      if (repaired && turf.booleanPointInPolygon(turf.pointOnFeature(cut), repaired)) return null;
+    }
+    return repaired;
+  }
+
+  // A ring as one polygon, split at its crossings and dissolved
+  dissolveRing(ring) {
+    return turf.unkinkPolygon(turf.polygon([ring])).features
+      .reduce((merged, piece) => merged ? turf.union(merged, piece) : piece, null);
+  }
+
+  // Sweep over segments sorted by x so large rings are not checked pairwise
+  ringSelfIntersects(ring) {
+    const segments = [];
+    for (let i = 0; i < ring.length - 1; i++) {
+      const [a, b] = [ring[i], ring[i + 1]];
+      segments.push({ i, a, b, minX: Math.min(a[0], b[0]), maxX: Math.max(a[0], b[0]) });
+    }
+    segments.sort((s1, s2) => s1.minX - s2.minX);
+
+    const last = segments.length - 1;
+    const active = [];
+    for (const segment of segments) {
+      for (let j = active.length - 1; j >= 0; j--) {
+        if (active[j].maxX < segment.minX) active.splice(j, 1);
+      }
+
+      for (const other of active) {
+        const gap = Math.abs(segment.i - other.i);
+        // Neighbouring segments share a vertex, as do the first and last
+        if (gap === 1 || gap === last) continue;
+        if (this.segmentsCross(segment.a, segment.b, other.a, other.b)) return true;
+      }
+      active.push(segment);
+    }
+    return false;
+  }
+
+  // Proper crossings only; rings touching at a vertex are tolerated
+  segmentsCross(p1, p2, p3, p4) {
+    const orientation = (a, b, c) => Math.sign((b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]));
+    const d1 = orientation(p3, p4, p1);
+    const d2 = orientation(p3, p4, p2);
+    const d3 = orientation(p1, p2, p3);
+    const d4 = orientation(p1, p2, p4);
+    return d1 * d2 < 0 && d3 * d4 < 0;
+  }
+}
+
+module.exports = GeometryValidator;
@@ -0,0 +1,165 @@
+// Refreshes stale data sources in the background while the server runs.
+// Sources are refreshed one at a time in priority order with a pause between
+// them, so a refresh pass never hammers the upstream services or the server.
+class RefreshScheduler {
+  constructor(options = {}) {
+    this.dataManager = options.dataManager;
+    this.checkInterval = options.checkInterval || 60 * 60 * 1000; // how often to look for stale sources
+    this.initialDelay = options.initialDelay ?? 60 * 1000; // let the server finish starting first
+    this.staggerDelay = options.staggerDelay ?? 30 * 1000; // pause between sources
+    this.retryDelay = options.retryDelay || 60 * 60 * 1000; // wait before retrying a failed source
+    this.onSourcesChanged = options.onSourcesChanged || (() => {});
+
+    this.timer = null;
+    this.running = false;
+    this.enabled = false;
+    this.status = {
+      lastCheck: null,
+      nextCheck: null,
+      current: null,
+      queue: [],
+      sources: {}
+    };
+  }
+
+  start() {
+    if (this.enabled) return;
+    this.enabled = true;
+    this.schedule(this.initialDelay);
+    console.log(`Background data refresh enabled (checking every ${Math.round(this.checkInterval / 60000)} minutes)`);
+  }
+
+  stop() {
+    this.enabled = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.status.nextCheck = null;
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    if (!this.enabled) return;
+
+    this.status.nextCheck = new Date(Date.now() + delay).toISOString();
+    this.timer = setTimeout(() => this.run(), delay);
+    // The scheduler alone should not keep the process alive
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  // Sources past their refresh interval, skipping ones that failed recently
+  async getDueSources(force = false) {
+    const now = Date.now();
+    const keys = force
+      ? Object.keys(this.dataManager.sources)
+      : (await this.dataManager.checkForUpdates()).map(update => update.key);
+
+    return keys
+      .filter(key => {
+        const lastFailure = this.status.sources[key]?.lastFailure;
+        return force || !lastFailure || now - new Date(lastFailure).getTime() > this.retryDelay;
+      })
+      .sort((a, b) =>
+        (this.dataManager.sources[a].priority || 999) - (this.dataManager.sources[b].priority || 999)
+      );
+  }
+
+  // One refresh pass. Returns the keys whose active data changed.
+  async run(options = {}) {
+    if (this.running) {
+      return { skipped: true, reason: 'A refresh is already running' };
+    }
+
+    this.running = true;
+    clearTimeout(this.timer);
+    this.status.lastCheck = new Date().toISOString();
+    this.status.nextCheck = null;
+
+    const changed = [];
+    const failed = [];
+
+    try {
+      this.status.queue = await this.getDueSources(options.force);
+      if (this.status.queue.length > 0) {
+        console.log(`Background refresh: ${this.status.queue.length} stale sources (${this.status.queue.join(', ')})`);
+      }
+
+      while (this.status.queue.length > 0) {
+        const key = this.status.queue.shift();
+        this.status.current = key;
+
+        const result = await this.refreshSource(key);
+        if (result.changed) changed.push(key);
+        if (result.error) failed.push(key);
+
+        if (this.status.queue.length > 0 && this.staggerDelay > 0) {
+          await new Promise(resolve => setTimeout(resolve, this.staggerDelay));
+        }
+      }
+    } catch (error) {
+      console.error('Background refresh failed:', error);
+    } finally {
+      this.status.current = null;
+      this.status.queue = [];
+      this.running = false;
+      this.schedule(this.checkInterval);
+    }
+
+    if (changed.length > 0) {
+      console.log(`Background refresh: data changed for ${changed.join(', ')}`);
+      try {
+        await this.onSourcesChanged(changed);
+      } catch (error) {
+        console.error('Failed to handle changed sources:', error);
+      }
+    }
+
+    return { changed, failed };
+  }
+
+  async refreshSource(key) {
+    const previousHash = this.dataManager.lastRefresh[`${key}_hash`] || null;
+    const previousRefresh = this.dataManager.lastRefresh[key] || 0;
+    const entry = this.status.sources[key] || {};
+    entry.lastAttempt = new Date().toISOString();
+    this.status.sources[key] = entry;
+
+    try {
+      await this.dataManager.downloadAndStoreData(key, true);
+
+      // downloadAndStoreData falls back to the stored copy instead of throwing,
+      // so a download only succeeded if it recorded a new refresh time
+      if ((this.dataManager.lastRefresh[key] || 0) === previousRefresh) {
+        throw new Error('Download failed, serving stored data');
+      }
+
+      const changed = (this.dataManager.lastRefresh[`${key}_hash`] || null) !== previousHash;
+      entry.lastSuccess = entry.lastAttempt;
+      entry.lastFailure = null;
+      entry.error = null;
+      entry.changed = changed;
+      return { changed };
+    } catch (error) {
+      console.warn(`Background refresh of ${key} failed:`, error.message);
+      entry.lastFailure = entry.lastAttempt;
+      entry.error = error.message;
+      entry.changed = false;
+      return { changed: false, error };
+    }
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      running: this.running,
+      checkInterval: this.checkInterval,
+      staggerDelay: this.staggerDelay,
+      lastCheck: this.status.lastCheck,
+      nextCheck: this.status.nextCheck,
+      current: this.status.current,
+      queue: [...this.status.queue],
+      sources: this.status.sources
+    };
+  }
+}
+
+module.exports = RefreshScheduler;
@@ -58,13 +58,13 @@ async function initializeData() {
     // Get all constraint data
     const constraintData = await dataManager.getAllData();
     
-    // Add coastline data
-    constraintData.coastline = require('../server-new').ENHANCED_COASTLINE;
-    constraintData.studyArea = require('../server-new').STUDY_AREA;
+    // Land comes from the land-role sources (see config/dataSources.json)
+    constraintData.studyArea = dataManager.getStudyAreaFeature();
     
     // Calculate zones with progress
     const zones = await zoneCalculator.calculateRecommendedZones(constraintData, {
       forceRecalculate: true,
+      sourceVersions: dataManager.getActiveSnapshots(),
       progressCallback: (progress, message) => {
         process.stdout.write(`\r   Progress: ${progress}% - ${message}`.padEnd(80));
       }
@@ -74,6 +74,7 @@ async function initializeData() {
     console.log(`   - Total zones: ${zones.features.length}`);
     console.log(`   - Calculation time: ${zones.metadata.calculationTime}ms`);
     console.log(`   - Candidate points processed: ${zones.metadata.totalCandidatePoints}`);
+    console.log(`   - Candidate points in zones: ${zones.metadata.candidatePointsInZones}`);
     
     console.log('\n=== Initialization Complete! ===');
     console.log('\nYour GIS data has been downloaded and cached locally.');
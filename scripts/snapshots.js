@@ -0,0 +1,143 @@
+const DataManager = require('../dataManager');
+const fetch = require('node-fetch');
+const path = require('path');
+
+// A running server keeps the snapshot index and refresh metadata in memory and
+// would write over changes made behind its back, so rollback, pin and unpin
+// go through its API while it is up
+const SERVER_URL = process.env.SNAPSHOT_SERVER_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+const USAGE = `Usage: npm run snapshots -- <command> [args]
+
+Commands:
+  list [source]                 List snapshots (all sources if none given)
+  diff <source> <from> <to>     Compare two snapshots of a source
+  rollback <source> <snapshot>  Make a snapshot the active copy of a source
+  pin <source> <snapshot>       Roll back and keep that snapshot through refreshes
+  unpin <source>                Let the next refresh replace the pinned snapshot`;
+
+// The server's response, or null when no server is running
+async function callServer(method, route, body) {
+  let response;
+  try {
+    response = await fetch(`${SERVER_URL}${route}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+  } catch (error) {
+    if (error.code === 'ECONNREFUSED') return null;
+    throw error;
+  }
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.message || result.error || `Server returned ${response.status}`);
+  }
+  return result;
+}
+
+// Runs a source change on the running server if there is one
+async function changeOnServer(command, key, snapshotId) {
+  if (!key) return null;
+  const route = `/api/snapshots/${encodeURIComponent(key)}`;
+  switch (command) {
+    case 'rollback': return callServer('POST', `${route}/rollback`, { snapshotId });
+    case 'pin': return callServer('POST', `${route}/pin`, { snapshotId });
+    case 'unpin': return callServer('DELETE', `${route}/pin`);
+    default: return null;
+  }
+}
+
+async function runSnapshotCommand(args) {
+  const [command, key, ...rest] = args;
+
+  const viaServer = await changeOnServer(command, key, rest[0]);
+  if (viaServer) {
+    if (command === 'rollback') console.log(`${key} now uses snapshot ${viaServer.active} (through ${SERVER_URL})`);
+    if (command === 'pin') console.log(`${key} pinned to snapshot ${viaServer.pinned} (through ${SERVER_URL})`);
+    if (command === 'unpin') console.log(`${key} unpinned through ${SERVER_URL}; the next refresh will activate the latest download`);
+    return;
+  }
+
+  const dataManager = new DataManager({
+    dataDir: path.join(__dirname, '..', 'gis_data'),
+    fallbackDir: path.join(__dirname, '..', 'fallback_data')
+  });
+  await dataManager.initialize();
+
+  const requireSource = () => {
+    if (!key || !dataManager.sources[key]) {
+      throw new Error(`Unknown data source: ${key || '(none)'}`);
+    }
+  };
+
+  switch (command) {
+    case 'list': {
+      const keys = key ? [key] : Object.keys(dataManager.sources);
+      for (const sourceKey of keys) {
+        const snapshots = dataManager.snapshots.listSnapshots(sourceKey);
+        console.log(`\n${sourceKey} (${snapshots.length} snapshots)`);
+        snapshots.forEach(snapshot => {
+          const flags = [
+            snapshot.active ? 'active' : null,
+            snapshot.pinned ? 'pinned' : null
+          ].filter(Boolean).join(', ');
+          console.log(`  ${snapshot.id}  ${snapshot.features} features  ${(snapshot.size / 1024).toFixed(1)} KB${flags ? `  [${flags}]` : ''}`);
+        });
+      }
+      break;
+    }
+    case 'diff': {
+      requireSource();
+      const [from, to] = rest;
+      if (!from || !to) throw new Error('diff needs two snapshot ids');
+      const { summary, changes } = await dataManager.diffSnapshots(key, from, to);
+      console.log(`${key}: ${from} -> ${to} (matched on ${summary.idField || 'feature content'})`);
+      console.log(`  ${summary.added} added, ${summary.removed} removed, ${summary.modified} modified, ${summary.unchanged} unchanged`);
+      changes.features
+        .filter(feature => feature.properties._change !== 'previous')
+        .forEach(feature => {
+          const { _change, _featureId, _geometryChanged, _changedAttributes, _areaChange } = feature.properties;
+          const details = [
+            _geometryChanged ? `geometry${_areaChange !== undefined ? ` (${_areaChange >= 0 ? '+' : ''}${_areaChange} m²)` : ''}` : null,
+            _changedAttributes?.length ? `attributes: ${_changedAttributes.join(', ')}` : null
+          ].filter(Boolean).join('; ');
+          console.log(`  ${_change.padEnd(8)} ${summary.idField ? _featureId : ''}${details ? `  ${details}` : ''}`);
+        });
+      break;
+    }
+    case 'rollback': {
+      requireSource();
+      const snapshot = await dataManager.rollbackSource(key, rest[0]);
+      console.log(`${key} now uses snapshot ${snapshot.id}`);
+      break;
+    }
+    case 'pin': {
+      requireSource();
+      const snapshot = await dataManager.pinSource(key, rest[0]);
+      console.log(`${key} pinned to snapshot ${snapshot.id}`);
+      break;
+    }
+    case 'unpin': {
+      requireSource();
+      await dataManager.unpinSource(key);
+      console.log(`${key} unpinned; the next refresh will activate the latest download`);
+      break;
+    }
+    default:
+      console.log(USAGE);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  runSnapshotCommand(process.argv.slice(2)).then(() => {
+    process.exit(0);
+  }).catch(error => {
+    console.error('Error:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { runSnapshotCommand };
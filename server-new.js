@@ -5,21 +5,74 @@ const compression = require('compression');
 const fs = require('fs').promises;
 const DataManager = require('./dataManager');
 const ZoneCalculator = require('./zoneCalculator');
+const SourceRegistry = require('./sourceRegistry');
+const RefreshScheduler = require('./refreshScheduler');
+const CustomLayerStore = require('./customLayerStore');
+const SiteAnalyzer = require('./siteAnalyzer');
+const VesselStore = require('./vesselStore');
+const SuitabilityModel = require('./suitabilityModel');
+const ExclusionRecorder = require('./exclusionRecorder');
+const ZoneCalculationRunner = require('./zoneCalculationRunner');
+const ZoneJobStore = require('./zoneJobStore');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Single source registry shared by the data manager, calculator and routes
+const sourceRegistry = new SourceRegistry();
+
 // Initialize data manager and zone calculator
 const dataManager = new DataManager({
   dataDir: path.join(__dirname, 'gis_data'),
   fallbackDir: path.join(__dirname, 'fallback_data'),
-  refreshInterval: 24 * 60 * 60 * 1000 // 24 hours
+  refreshInterval: 24 * 60 * 60 * 1000, // 24 hours
+  registry: sourceRegistry
 });
 
+// Weighted scoring scenarios the zones are graded by, from config/suitability.json
+const suitabilityModel = new SuitabilityModel({ registry: sourceRegistry });
+
 const zoneCalculator = new ZoneCalculator({
   zonesDir: path.join(__dirname, 'calculated_zones'),
   cacheDir: path.join(__dirname, 'zone_cache'),
-  gridResolution: 0.005
+  gridResolution: 0.005,
+  registry: sourceRegistry,
+  suitability: suitabilityModel
+});
+
+// Calculations run in a worker thread with the same settings and config,
+// and are stopped after ZONE_CALCULATION_TIMEOUT_MINUTES
+const zoneCalculationRunner = new ZoneCalculationRunner({
+  calculatorOptions: {
+    zonesDir: zoneCalculator.zonesDir,
+    cacheDir: zoneCalculator.cacheDir,
+    gridResolution: zoneCalculator.gridResolution,
+    method: zoneCalculator.method,
+    tileWorkers: zoneCalculator.tileWorkers,
+    ...ZoneCalculationRunner.configOf(zoneCalculator)
+  },
+  timeout: (Number(process.env.ZONE_CALCULATION_TIMEOUT_MINUTES) || 10) * 60 * 1000
+});
+
+// Calculation jobs and their zones, kept across restarts
+const zoneJobStore = new ZoneJobStore({
+  jobDir: path.join(__dirname, 'zone_jobs'),
+  maxJobs: Number(process.env.ZONE_JOB_HISTORY) || 100
+});
+
+const siteAnalyzer = new SiteAnalyzer();
+
+// Vessel profiles that zones and analysis can be calculated for
+const vesselStore = new VesselStore({
+  storePath: path.join(__dirname, 'gis_data', 'vessels.json')
+});
+
+// Background refresh of stale sources; DATA_REFRESH=off disables it
+const refreshScheduler = new RefreshScheduler({
+  dataManager,
+  checkInterval: (Number(process.env.DATA_REFRESH_CHECK_MINUTES) || 60) * 60 * 1000,
+  staggerDelay: (Number(process.env.DATA_REFRESH_STAGGER_SECONDS) || 30) * 1000,
+  onSourcesChanged: handleSourcesChanged
 });
 
 // Enable compression
@@ -30,169 +83,38 @@ app.use(cors());
 
 // Static files
 app.use(express.static('public', { maxAge: '1h' }));
+// Layer uploads carry whole GeoJSON/KML files
+app.use('/api/layers', express.json({ limit: '25mb' }));
 app.use(express.json({ limit: '1mb' }));
 
 // Server status vars
 let serverStartTime = Date.now();
 
-// Track zone calculation status
-const zoneCalculationStatus = {
-  inProgress: false,
-  lastStarted: null,
-  progress: 0,
-  lastCompleted: null,
-  error: null
-};
-
-// Coastal and study area definitions
-const ENHANCED_COASTLINE = {
-  type: 'FeatureCollection',
-  features: [{
-    type: 'Feature',
-    properties: { 
-      name: 'Western Australia Coastline', 
-      type: 'land' 
-    },
-    geometry: {
-      type: 'Polygon',
-      coordinates: [[
-        [115.750, -32.150],
-        [115.850, -32.150],
-        [115.850, -31.950],
-        [115.800, -31.950],
-        [115.788, -31.955],
-        [115.782, -31.957],
-        [115.779, -31.959],
-        [115.775, -31.961],
-        [115.772, -31.962],
-        [115.768, -31.963],
-        [115.764, -31.964],
-        [115.760, -31.966],
-        [115.757, -31.968],
-        [115.755, -31.970],
-        [115.754, -31.972],
-        [115.753, -31.974],
-        [115.752, -31.976],
-        [115.751, -31.978],
-        [115.750, -31.980],
-        [115.749, -31.982],
-        [115.748, -31.984],
-        [115.747, -31.986],
-        [115.746, -31.988],
-        [115.745, -31.990],
-        [115.744, -31.992],
-        [115.743, -31.994],
-        [115.742, -31.996],
-        [115.741, -31.998],
-        [115.740, -32.000],
-        [115.739, -32.002],
-        [115.738, -32.004],
-        [115.737, -32.006],
-        [115.736, -32.008],
-        [115.735, -32.010],
-        [115.734, -32.012],
-        [115.733, -32.014],
-        [115.732, -32.016],
-        [115.732, -32.018],
-        [115.731, -32.020],
-        [115.730, -32.022],
-        [115.730, -32.024],
-        [115.729, -32.026],
-        [115.729, -32.028],
-        [115.728, -32.030],
-        [115.728, -32.032],
-        [115.728, -32.034],
-        [115.729, -32.036],
-        [115.729, -32.038],
-        [115.730, -32.040],
-        [115.736, -32.042],
-        [115.738, -32.044],
-        [115.739, -32.046],
-        [115.738, -32.048],
-        [115.738, -32.050],
-        [115.737, -32.052],
-        [115.737, -32.055],
-        [115.737, -32.058],
-        [115.737, -32.060],
-        [115.738, -32.065],
-        [115.739, -32.070],
-        [115.740, -32.075],
-        [115.742, -32.080],
-        [115.743, -32.085],
-        [115.745, -32.090],
-        [115.747, -32.095],
-        [115.748, -32.100],
-        [115.749, -32.103],
-        [115.750, -32.107],
-        [115.752, -32.111],
-        [115.754, -32.115],
-        [115.756, -32.120],
-        [115.758, -32.125],
-        [115.760, -32.130],
-        [115.762, -32.135],
-        [115.765, -32.140],
-        [115.770, -32.145],
-        [115.775, -32.150],
-        [115.750, -32.150]
-      ]]
-    }
-  },
-  {
-    type: 'Feature',
-    properties: {
-      name: 'Northern Land Area',
-      type: 'land'
-    },
-    geometry: {
-      type: 'Polygon',
-      coordinates: [[
-        [115.756, -31.970],
-        [115.770, -31.970],
-        [115.770, -31.990],
-        [115.760, -32.000],
-        [115.756, -31.990],
-        [115.756, -31.970]
-      ]]
-    }
-  }]
-};
-
-const STUDY_AREA = {
-  type: 'Feature',
-  properties: {
-    type: 'Study Area',
-    description: 'Coastal region from Lancelin to Mandurah including Rottnest Island'
-  },
-  geometry: {
-    type: 'Polygon',
-    coordinates: [[
-      [115.2, -32.60],
-      [116.0, -32.60],
-      [116.0, -30.90],
-      [115.2, -30.90],
-      [115.2, -32.60]
-    ]]
-  }
-};
-
-// API endpoints mapping
-const endpoints = [
-  'portAuthorities',
-  'marineParks',
-  'fishHabitat',
-  'cockburnSound',
-  'mooringAreas',
-  'marineInfrastructure',
-  'ausMarineParks',
-  'osmHarbours',
-  'osmMarinas'
-];
+// Zone calculation jobs run one at a time, oldest first. A cancellation that
+// arrives while the running job is still loading its data waits here for it.
+let runningZoneJob = null;
+let pendingCancellation = null;
+
+// Study area polygon, from the studyArea entry in config/dataSources.json
+const STUDY_AREA = dataManager.getStudyAreaFeature();
+
+// API endpoints mapping, generated from config/dataSources.json
+const endpoints = sourceRegistry.getRoutedKeys();
 
 // Register data endpoints
 endpoints.forEach(key => {
   app.get(`/api/${key}`, async (req, res) => {
     try {
-      const data = await dataManager.getData(key);
+      // ?zoom=<level> returns a copy simplified for display at that zoom;
+      // without it the layer is served at full resolution
+      const zoom = req.query.zoom !== undefined ? parseInt(req.query.zoom, 10) : null;
+      if (zoom !== null && (Number.isNaN(zoom) || zoom < 0 || zoom > 22)) {
+        return res.status(400).json({ error: 'zoom must be an integer between 0 and 22' });
+      }
+
+      const data = zoom === null
+        ? await dataManager.getData(key)
+        : await dataManager.getDisplayData(key, zoom);
       res.set('Cache-Control', 'public, max-age=3600');
       res.json(data);
     } catch (error) {
@@ -206,6 +128,260 @@ endpoints.forEach(key => {
   });
 });
 
+// Layer definitions used by the frontend to build its layer list; `active`
+// says whether each is in force now, or during ?at= / ?from=&to=
+app.get('/api/layers', (req, res) => {
+  let period;
+  try {
+    period = parsePeriod(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid period', message: error.message });
+  }
+
+  res.json(dataManager.getLayerDefinitions(period));
+});
+
+// Upload an ad hoc constraint layer. The body carries the file contents in
+// `data` (GeoJSON object or text, or KML text) plus its metadata.
+app.post('/api/layers', async (req, res) => {
+  const { data, filename, format, crs, ...metadata } = req.body || {};
+  const problems = CustomLayerStore.validateMetadata(metadata);
+  if (!data) problems.push('data is required');
+  if (problems.length > 0) {
+    return res.status(400).json({ error: 'Invalid layer upload', details: problems });
+  }
+
+  let prepared;
+  try {
+    prepared = dataManager.prepareUpload({ data, filename, format, crs, name: metadata.name, constraintType: metadata.constraintType, buffer: metadata.buffer });
+  } catch (error) {
+    return res.status(400).json({ error: 'Could not import layer', message: error.message });
+  }
+
+  try {
+    const layer = await dataManager.customLayers.add(metadata, prepared.data, {
+      filename: filename || null,
+      format: prepared.format,
+      crs: prepared.crs,
+      validation: prepared.validation
+    });
+    console.log(`Stored uploaded layer ${layer.id} (${layer.features} features, ${layer.role})`);
+
+    await handleCustomLayerChanged(layer, 'added');
+    res.status(201).json(layer);
+  } catch (error) {
+    console.error('Error storing uploaded layer:', error);
+    res.status(500).json({ error: 'Failed to store layer', message: error.message });
+  }
+});
+
+app.get('/api/layers/:id', async (req, res) => {
+  try {
+    const data = await dataManager.customLayers.getData(req.params.id);
+    if (!data) {
+      return res.status(404).json({ error: `Unknown uploaded layer: ${req.params.id}` });
+    }
+    res.json(data);
+  } catch (error) {
+    console.error(`Error serving uploaded layer ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Error fetching layer', message: error.message });
+  }
+});
+
+// Replace the features of an uploaded or drawn layer (after its vertices were
+// edited on the map) and/or update its metadata
+app.put('/api/layers/:id', async (req, res) => {
+  const existing = dataManager.customLayers.get(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: `Unknown uploaded layer: ${req.params.id}` });
+  }
+
+  const { data, filename, format, crs, ...metadata } = req.body || {};
+  const problems = CustomLayerStore.validateMetadata({
+    name: existing.name,
+    validFrom: existing.validFrom,
+    validTo: existing.validTo,
+    ...metadata
+  });
+  if (problems.length > 0) {
+    return res.status(400).json({ error: 'Invalid layer update', details: problems });
+  }
+
+  let prepared = null;
+  if (data) {
+    try {
+      prepared = dataManager.prepareUpload({
+        data,
+        filename,
+        format,
+        crs,
+        name: metadata.name || existing.name,
+        constraintType: metadata.constraintType || existing.constraintType,
+        buffer: metadata.buffer ?? existing.buffer
+      });
+    } catch (error) {
+      return res.status(400).json({ error: 'Could not import layer', message: error.message });
+    }
+  }
+
+  try {
+    const layer = await dataManager.customLayers.update(req.params.id, metadata, prepared?.data);
+    console.log(`Updated layer ${layer.id} (${layer.features} features, ${layer.role})`);
+
+    // Either version may have been constraining the calculation
+    if (existing.role === 'hard' && dataManager.customLayers.isActive(existing)) {
+      await handleCustomLayerChanged(existing, 'updated');
+    } else {
+      await handleCustomLayerChanged(layer, 'updated');
+    }
+    res.json(layer);
+  } catch (error) {
+    console.error(`Error updating layer ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to update layer', message: error.message });
+  }
+});
+
+app.delete('/api/layers/:id', async (req, res) => {
+  try {
+    const layer = await dataManager.customLayers.remove(req.params.id);
+    if (!layer) {
+      return res.status(404).json({ error: `Unknown uploaded layer: ${req.params.id}` });
+    }
+
+    await handleCustomLayerChanged(layer, 'removed');
+    res.json({ status: 'removed', layer });
+  } catch (error) {
+    console.error(`Error removing uploaded layer ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to remove layer', message: error.message });
+  }
+});
+
+// Vessel profiles, with the minimum depth and swing radius they resolve to
+app.get('/api/vessels', (req, res) => {
+  res.json(vesselStore.list().map(vessel => VesselStore.resolve(vessel)));
+});
+
+app.get('/api/vessels/:id', (req, res) => {
+  const vessel = vesselStore.get(req.params.id);
+  if (!vessel) {
+    return res.status(404).json({ error: `Unknown vessel: ${req.params.id}` });
+  }
+  res.json(VesselStore.resolve(vessel));
+});
+
+app.post('/api/vessels', async (req, res) => {
+  const problems = VesselStore.validate(req.body || {});
+  if (problems.length > 0) {
+    return res.status(400).json({ error: 'Invalid vessel profile', details: problems });
+  }
+
+  try {
+    const vessel = await vesselStore.add(req.body);
+    console.log(`Added vessel profile ${vessel.id}`);
+    res.status(201).json(VesselStore.resolve(vessel));
+  } catch (error) {
+    console.error('Error adding vessel profile:', error);
+    res.status(500).json({ error: 'Failed to add vessel profile', message: error.message });
+  }
+});
+
+app.put('/api/vessels/:id', async (req, res) => {
+  if (!vesselStore.get(req.params.id)) {
+    return res.status(404).json({ error: `Unknown vessel: ${req.params.id}` });
+  }
+  const problems = VesselStore.validate(req.body || {}, true);
+  if (problems.length > 0) {
+    return res.status(400).json({ error: 'Invalid vessel profile', details: problems });
+  }
+
+  try {
+    const vessel = await vesselStore.update(req.params.id, req.body);
+    res.json(VesselStore.resolve(vessel));
+  } catch (error) {
+    console.error(`Error updating vessel profile ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to update vessel profile', message: error.message });
+  }
+});
+
+app.delete('/api/vessels/:id', async (req, res) => {
+  try {
+    const vessel = await vesselStore.remove(req.params.id);
+    if (!vessel) {
+      return res.status(404).json({ error: `Unknown vessel: ${req.params.id}` });
+    }
+    res.json({ status: 'removed', vessel });
+  } catch (error) {
+    console.error(`Error removing vessel profile ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to remove vessel profile', message: error.message });
+  }
+});
+
+// Proximity of a point to every constraint layer, the water mask and the recommended zones
+app.post('/api/analyzeProximity', async (req, res) => {
+  const lat = parseFloat(req.body?.lat);
+  const lng = parseFloat(req.body?.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+    return res.status(400).json({ error: 'Invalid or missing coordinates' });
+  }
+
+  let plan;
+  try {
+    plan = parseZoneRequest(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.invalid, message: error.message });
+  }
+  const { period, vessel, scenario, method } = plan;
+
+  try {
+    const context = await getAnalysisContext(period, vessel, scenario, method);
+    res.json({
+      coordinates: { lat, lng },
+      period: context.period,
+      vessel,
+      results: siteAnalyzer.analyzePoint([lng, lat], context),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error analyzing proximity:', error);
+    res.status(500).json({ error: 'Failed to analyze location', message: error.message });
+  }
+});
+
+// Evaluate a candidate cleaning site; the body is a Polygon geometry or
+// Feature, optionally with the planned cleaning period as at or from/to and
+// the vessel as an id or dimensions
+app.post('/api/evaluateSite', async (req, res) => {
+  const site = req.body?.geometry || req.body?.feature;
+  if (!site || !site.type) {
+    return res.status(400).json({ error: 'A site polygon is required as "geometry" or "feature"' });
+  }
+
+  let plan;
+  try {
+    plan = parseZoneRequest(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.invalid, message: error.message });
+  }
+  const { period, vessel, scenario, method } = plan;
+
+  try {
+    const context = await getAnalysisContext(period, vessel, scenario, method);
+    res.json({
+      site,
+      period: context.period,
+      vessel,
+      evaluation: siteAnalyzer.analyzeSite(site, context),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (/candidate site/.test(error.message)) {
+      return res.status(400).json({ error: 'Invalid site', message: error.message });
+    }
+    console.error('Error evaluating site:', error);
+    res.status(500).json({ error: 'Failed to evaluate site', message: error.message });
+  }
+});
+
 // Bathymetry endpoint with fallback
 app.get('/api/bathymetry', async (req, res) => {
   try {
@@ -219,41 +395,57 @@ app.get('/api/bathymetry', async (req, res) => {
   }
 });
 
-// Recommended zones endpoint
+// Recommended zones endpoint; ?at= or ?from=&to= asks for the zones during
+// a planned cleaning period instead of now, ?vessel=<id> (or ?loa=&beam=&draught=)
+// for a particular ship, ?scenario=<id> for other suitability weights and
+// ?method=grid|overlay for the other way of drawing zone boundaries
 app.get('/api/recommendedZones', async (req, res) => {
+  let plan;
   try {
-    // First check for pre-calculated zones
-    const latestZones = await zoneCalculator.getLatestZones();
-    if (latestZones && !req.query.forceRecalculate) {
-      console.log('Using pre-calculated zones');
-      res.set('Cache-Control', 'public, max-age=3600');
-      return res.json(latestZones);
-    }
+    plan = parseZoneRequest(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.invalid, message: error.message });
+  }
+  const { period, vessel, scenario, method } = plan;
 
-    // If calculation is in progress, return status
-    if (zoneCalculationStatus.inProgress) {
-      return res.status(202).json({
-        status: 'calculating',
-        message: 'Calculation in progress',
-        progress: zoneCalculationStatus.progress,
-        started: zoneCalculationStatus.lastStarted
+  try {
+    if (period || vessel || scenario || method) {
+      const cachedZones = await zoneCalculator.findCachedResult(await getConstraintData(period), {
+        period,
+        vessel,
+        scenario,
+        method,
+        sourceVersions: dataManager.getActiveSnapshots()
       });
+      if (cachedZones && !req.query.forceRecalculate) {
+        res.set('Cache-Control', 'public, max-age=3600');
+        return res.json(cachedZones);
+      }
+    } else {
+      // First check for pre-calculated zones, unless a constraint has since
+      // come into or out of force
+      const latestZones = await zoneCalculator.getLatestZones();
+      const validUntil = latestZones?.metadata?.validUntil;
+      const stale = validUntil && new Date(validUntil) <= new Date();
+      if (latestZones && !stale && !req.query.forceRecalculate) {
+        console.log('Using pre-calculated zones');
+        res.set('Cache-Control', 'public, max-age=3600');
+        return res.json(latestZones);
+      }
     }
 
-    // Start new calculation
-    zoneCalculationStatus.inProgress = true;
-    zoneCalculationStatus.lastStarted = new Date().toISOString();
-    zoneCalculationStatus.progress = 0;
-    zoneCalculationStatus.error = null;
-
-    // Perform calculation asynchronously
-    performZoneCalculation();
+    // Start a calculation job, or report the one already queued or running
+    const reason = [period && 'planned period', vessel && vessel.name, scenario && `${scenario.id} scenario`, method && `${method} method`].filter(Boolean).join(', ');
+    const { job, created } = await submitZoneJob(reason ? `requested for ${reason}` : 'requested', period, vessel, scenario, method);
 
     return res.status(202).json({
       status: 'calculating',
-      message: 'Calculation started',
-      progress: 0,
-      started: zoneCalculationStatus.lastStarted
+      message: created ? 'Calculation started' : job.status === 'running' ? 'Calculation in progress' : 'Calculation queued',
+      progress: job.progress,
+      started: job.startedAt,
+      ...job.params,
+      job: job.id,
+      jobUrl: `/api/zoneJobs/${job.id}`
     });
   } catch (error) {
     console.error('Error handling recommended zones request:', error);
@@ -264,29 +456,281 @@ app.get('/api/recommendedZones', async (req, res) => {
   }
 });
 
-// Zone calculation status endpoint
+// Zone calculation status endpoint: the running job, or the last one to
+// run. /api/zoneJobs has every job.
 app.get('/api/zoneCalculationStatus', (req, res) => {
+  const jobs = zoneJobStore.list();
+  const current = runningZoneJob || jobs.find(job => job.startedAt);
+  const lastCompleted = jobs.find(job => job.status === 'completed');
+  res.json({
+    inProgress: Boolean(runningZoneJob),
+    lastStarted: current?.startedAt || null,
+    progress: current?.progress || 0,
+    lastCompleted: lastCompleted?.finishedAt || null,
+    error: current?.error || null,
+    cancelled: current?.status === 'cancelled' || Boolean(current?.timedOut),
+    queued: jobs.some(job => job.status === 'queued'),
+    reason: current?.reason || null,
+    period: current?.params.period || null,
+    vessel: current?.params.vessel || null,
+    scenario: current?.params.scenario || null,
+    method: current?.params.method || null,
+    job: current?.id || null
+  });
+});
+
+// Stops the calculation in progress by terminating its worker. Its job is
+// recorded as cancelled; queued jobs still run.
+app.post('/api/zoneCalculation/cancel', async (req, res) => {
+  const reason = cancellationReason(req.body);
+  if (!runningZoneJob) {
+    return res.status(409).json({ error: 'No zone calculation is running', message: 'There is nothing to cancel' });
+  }
+  const job = runningZoneJob;
+  await cancelZoneJob(job, reason);
+  res.json({ status: 'cancelling', message: reason, job: job.id, queued: zoneJobStore.list('queued').length > 0 });
+});
+
+// Zone calculation jobs, newest first; ?status= for one status only and
+// ?limit= for the most recent few
+app.get('/api/zoneJobs', (req, res) => {
+  const status = req.query.status || null;
+  if (status && !ZoneJobStore.STATUSES.includes(status)) {
+    return res.status(400).json({ error: 'Invalid status', message: `status must be one of ${ZoneJobStore.STATUSES.join(', ')}` });
+  }
+  const jobs = zoneJobStore.list(status);
+  const limit = Number(req.query.limit) || jobs.length;
+  res.json({ jobs: jobs.slice(0, limit).map(job => describeZoneJob(job)), total: jobs.length });
+});
+
+// Queues a zone calculation with the same plan parameters as
+// /api/recommendedZones (at/from/to, vessel or dimensions, scenario, method)
+// in the body, and forceRecalculate to calculate even when the zones are
+// cached. A matching job already queued or running is returned instead.
+app.post('/api/zoneJobs', async (req, res) => {
+  const input = req.body || {};
+  let plan;
+  try {
+    plan = parseZoneRequest(input);
+  } catch (error) {
+    return res.status(400).json({ error: error.invalid, message: error.message });
+  }
+  const { period, vessel, scenario, method } = plan;
+
+  try {
+    const reason = typeof input.reason === 'string' && input.reason.trim() ? input.reason.trim() : 'requested';
+    const { job, created } = await submitZoneJob(reason, period, vessel, scenario, method, {
+      forceRecalculate: Boolean(input.forceRecalculate)
+    });
+    res.set('Location', `/api/zoneJobs/${job.id}`);
+    res.status(created ? 202 : 200).json(describeZoneJob(job, true));
+  } catch (error) {
+    console.error('Error submitting zone job:', error);
+    res.status(500).json({ error: 'Failed to submit zone job', message: error.message });
+  }
+});
+
+app.get('/api/zoneJobs/:id', (req, res) => {
+  const job = zoneJobStore.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found', message: `No zone job with id ${req.params.id}` });
+  }
+  res.json(describeZoneJob(job, true));
+});
+
+// The zones a completed job calculated, as they were when it finished
+app.get('/api/zoneJobs/:id/result', async (req, res) => {
+  const job = zoneJobStore.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found', message: `No zone job with id ${req.params.id}` });
+  }
+  if (job.status !== 'completed') {
+    return res.status(409).json({ error: 'Job has no result', message: `Job ${job.id} is ${job.status}` });
+  }
+  const result = await zoneJobStore.readResult(job);
+  if (!result) {
+    return res.status(404).json({ error: 'Result not found', message: `The zones of job ${job.id} are no longer stored` });
+  }
+  if (req.query.download) res.attachment(`zones_${job.id}.json`);
+  res.type('application/json').send(result);
+});
+
+// Cancels a queued or running job
+app.delete('/api/zoneJobs/:id', async (req, res) => {
+  const job = zoneJobStore.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found', message: `No zone job with id ${req.params.id}` });
+  }
+  if (zoneJobStore.isFinished(job)) {
+    return res.status(409).json({ error: 'Job already finished', message: `Job ${job.id} is ${job.status}` });
+  }
+  try {
+    await cancelZoneJob(job, cancellationReason(req.body));
+    res.status(202).json(describeZoneJob(job, true));
+  } catch (error) {
+    console.error('Error cancelling zone job:', error);
+    res.status(500).json({ error: 'Failed to cancel zone job', message: error.message });
+  }
+});
+
+// Grid cells the zone calculation rejected, as square polygons with the
+// reasons each was rejected for; takes the same plan parameters as
+// /api/recommendedZones, ?bbox=minX,minY,maxX,maxY to limit the area and
+// ?types=constraint,setback,depth to limit the reasons (land is the bulk)
+app.get('/api/exclusionReasons', async (req, res) => {
+  let plan;
+  try {
+    plan = parseZoneRequest(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.invalid, message: error.message });
+  }
+  const { period, vessel, scenario, method } = plan;
+  let bbox = null;
+  if (req.query.bbox) {
+    bbox = String(req.query.bbox).split(',').map(Number);
+    if (bbox.length !== 4 || bbox.some(value => !Number.isFinite(value))) {
+      return res.status(400).json({ error: 'Invalid bbox', message: 'bbox must be minX,minY,maxX,maxY' });
+    }
+  }
+  const types = req.query.types ? String(req.query.types).split(',') : null;
+  const unknownTypes = (types || []).filter(type => !ExclusionRecorder.REASON_TYPES.includes(type));
+  if (unknownTypes.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid types',
+      message: `Unknown reason types: ${unknownTypes.join(', ')} (expected ${ExclusionRecorder.REASON_TYPES.join(', ')})`
+    });
+  }
+
+  try {
+    const record = await zoneCalculator.findExclusions(await getConstraintData(period), {
+      period,
+      vessel,
+      scenario,
+      method,
+      sourceVersions: dataManager.getActiveSnapshots()
+    });
+    if (!record) {
+      return res.status(404).json({
+        error: 'Exclusion reasons not available',
+        message: 'The zones for this plan have not been calculated yet; request /api/recommendedZones first'
+      });
+    }
+    res.json(ExclusionRecorder.toGeoJSON(record, { bbox, types }));
+  } catch (error) {
+    console.error('Error reading exclusion reasons:', error);
+    res.status(500).json({ error: 'Failed to read exclusion reasons', message: error.message });
+  }
+});
+
+// Why a point ({ lat, lng }) or polygon ({ geometry } or { feature }) is not
+// in a recommended zone: the blocking features found now, and what the
+// calculation recorded for the grid cells there
+app.post('/api/exclusionReasons/query', async (req, res) => {
+  const lat = parseFloat(req.body?.lat);
+  const lng = parseFloat(req.body?.lng);
+  const geometry = Number.isFinite(lat) && Number.isFinite(lng)
+    ? { type: 'Point', coordinates: [lng, lat] }
+    : req.body?.geometry || req.body?.feature;
+  if (!geometry || !geometry.type) {
+    return res.status(400).json({ error: 'A point (lat, lng) or a polygon ("geometry" or "feature") is required' });
+  }
+
+  let plan;
+  try {
+    plan = parseZoneRequest(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.invalid, message: error.message });
+  }
+  const { period, vessel, scenario, method } = plan;
+
+  try {
+    const context = await getAnalysisContext(period, vessel, scenario, method);
+    const blocking = siteAnalyzer.blockingFeatures(geometry, context);
+
+    const record = await zoneCalculator.findExclusions(await getConstraintData(period), {
+      period,
+      vessel,
+      scenario,
+      method,
+      sourceVersions: dataManager.getActiveSnapshots()
+    });
+    const shape = geometry.type === 'Feature' ? geometry.geometry : geometry;
+    let recorded = null;
+    if (record) {
+      recorded = shape.type === 'Point'
+        ? ExclusionRecorder.reasonsAt(record, shape.coordinates)
+        : ExclusionRecorder.reasonsWithin(record, shape);
+    }
+
+    res.json({
+      geometry: shape,
+      period: context.period,
+      vessel,
+      scenario: scenario ? scenario.id : null,
+      method,
+      excluded: blocking.features.length > 0,
+      blocking,
+      recorded,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (/exclusion query/.test(error.message)) {
+      return res.status(400).json({ error: 'Invalid geometry', message: error.message });
+    }
+    console.error('Error querying exclusion reasons:', error);
+    res.status(500).json({ error: 'Failed to query exclusion reasons', message: error.message });
+  }
+});
+
+// Suitability scenarios zones can be graded by, with the factors and classes they use
+app.get('/api/suitabilityScenarios', (req, res) => {
   res.json({
-    inProgress: zoneCalculationStatus.inProgress,
-    lastStarted: zoneCalculationStatus.lastStarted,
-    progress: zoneCalculationStatus.progress,
-    lastCompleted: zoneCalculationStatus.lastCompleted,
-    error: zoneCalculationStatus.error
+    scenarios: suitabilityModel.listScenarios(),
+    factors: suitabilityModel.getFactors(),
+    classes: suitabilityModel.getClasses()
   });
 });
 
-// Coastline endpoint
-app.get('/api/coastline', (req, res) => {
-  res.set('Cache-Control', 'public, max-age=86400');
-  res.json(ENHANCED_COASTLINE);
+// Methods zone boundaries can be drawn by, to compare their results
+app.get('/api/zoneMethods', (req, res) => {
+  res.json({
+    default: zoneCalculator.method,
+    methods: Object.entries(ZoneCalculator.METHODS).map(([id, method]) => ({
+      id,
+      ...method,
+      default: id === zoneCalculator.method
+    }))
+  });
 });
 
-// Constraint data endpoint for client-side calculations
+// Coastline endpoint, served from the land-role sources
+app.get('/api/coastline', async (req, res) => {
+  try {
+    const coastline = await dataManager.getCoastline();
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.json(coastline);
+  } catch (error) {
+    console.error('Error serving coastline:', error);
+    res.status(500).json({ error: 'Error fetching coastline', message: error.message });
+  }
+});
+
+// Constraint data endpoint for client-side calculations, limited to what is
+// in force now or during ?at= / ?from=&to=
 app.get('/api/constraintData', async (req, res) => {
+  let period;
+  try {
+    period = parsePeriod(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid period', message: error.message });
+  }
+
   try {
-    const constraintData = await dataManager.getAllData();
-    constraintData.coastline = ENHANCED_COASTLINE;
-    constraintData.studyArea = STUDY_AREA;
+    const constraintData = zoneCalculator.selectInForce(
+      await getConstraintData(period),
+      dataManager.validity.toPeriod(period)
+    ).data;
+    constraintData.coastline = await dataManager.getCoastline();
     
     res.set('Cache-Control', 'public, max-age=3600');
     res.json(constraintData);
@@ -304,9 +748,10 @@ app.get('/api/clearCache', async (req, res) => {
   try {
     console.log('Clearing server cache');
     
-    // Reset zone calculation status
-    zoneCalculationStatus.inProgress = false;
-    zoneCalculationStatus.progress = 0;
+    // Cancel the calculation jobs waiting and the one running
+    for (const job of [...zoneJobStore.list('queued'), ...zoneJobStore.list('running')]) {
+      await cancelZoneJob(job, 'Calculation cancelled by a cache clear');
+    }
     
     res.json({
       status: 'success',
@@ -326,13 +771,179 @@ app.get('/api/clearCache', async (req, res) => {
 app.get('/api/dataStatus', async (req, res) => {
   try {
     const status = await dataManager.getDataStatus();
-    res.json(status);
+    res.json({ ...status, scheduler: refreshScheduler.getStatus() });
   } catch (error) {
     console.error('Error getting data status:', error);
     res.status(500).json({ error: 'Failed to get data status' });
   }
 });
 
+// Full validation report for a source; ?format=geojson returns its quarantined features
+app.get('/api/validation/:key', async (req, res) => {
+  const { key } = req.params;
+  if (!dataManager.sources[key]) {
+    return res.status(404).json({ error: `Unknown data source: ${key}` });
+  }
+
+  try {
+    const report = await dataManager.getValidationReport(key);
+    if (!report) {
+      return res.status(404).json({ error: `No validation report for ${key} yet` });
+    }
+
+    res.json(req.query.format === 'geojson' ? report.quarantine : report);
+  } catch (error) {
+    console.error(`Error loading validation report for ${key}:`, error);
+    res.status(500).json({ error: 'Failed to load validation report', message: error.message });
+  }
+});
+
+// Start a background refresh now; { "force": true } refreshes every source, not just stale ones
+app.post('/api/dataRefresh', (req, res) => {
+  if (refreshScheduler.running) {
+    return res.status(409).json({ error: 'A data refresh is already running', scheduler: refreshScheduler.getStatus() });
+  }
+
+  refreshScheduler.run({ force: Boolean(req.body?.force) });
+  res.status(202).json({ status: 'started', scheduler: refreshScheduler.getStatus() });
+});
+
+// Snapshot history endpoints
+function findSnapshotError(key, snapshotId) {
+  if (!dataManager.sources[key]) {
+    return `Unknown data source: ${key}`;
+  }
+  if (snapshotId !== undefined && !dataManager.snapshots.listSnapshots(key).some(s => s.id === snapshotId)) {
+    return `Snapshot ${snapshotId} not found for ${key}`;
+  }
+  return null;
+}
+
+app.get('/api/snapshots', (req, res) => {
+  const snapshots = {};
+  for (const key of Object.keys(dataManager.sources)) {
+    snapshots[key] = {
+      active: dataManager.snapshots.getActive(key),
+      pinned: dataManager.snapshots.getPinned(key),
+      snapshots: dataManager.snapshots.listSnapshots(key)
+    };
+  }
+  res.json(snapshots);
+});
+
+app.get('/api/snapshots/:key', (req, res) => {
+  const { key } = req.params;
+  const notFound = findSnapshotError(key);
+  if (notFound) return res.status(404).json({ error: notFound });
+
+  res.json({
+    source: key,
+    active: dataManager.snapshots.getActive(key),
+    pinned: dataManager.snapshots.getPinned(key),
+    snapshots: dataManager.snapshots.listSnapshots(key)
+  });
+});
+
+app.get('/api/snapshots/:key/diff', async (req, res) => {
+  const { key } = req.params;
+  const { from, to } = req.query;
+  if (!from || !to) {
+    return res.status(400).json({ error: 'Both "from" and "to" snapshot ids are required' });
+  }
+
+  const notFound = findSnapshotError(key, from) || findSnapshotError(key, to);
+  if (notFound) return res.status(404).json({ error: notFound });
+
+  try {
+    const diff = await dataManager.diffSnapshots(key, from, to);
+    if (req.query.format === 'summary') delete diff.changes;
+    res.json(diff);
+  } catch (error) {
+    console.error(`Error diffing snapshots for ${key}:`, error);
+    res.status(500).json({ error: 'Failed to diff snapshots', message: error.message });
+  }
+});
+
+app.post('/api/snapshots/:key/rollback', async (req, res) => {
+  const { key } = req.params;
+  const { snapshotId } = req.body || {};
+  if (!snapshotId) return res.status(400).json({ error: 'snapshotId is required' });
+
+  const notFound = findSnapshotError(key, snapshotId);
+  if (notFound) return res.status(404).json({ error: notFound });
+
+  try {
+    const snapshot = await dataManager.rollbackSource(key, snapshotId);
+    res.json({ status: 'success', source: key, active: snapshot.id });
+  } catch (error) {
+    console.error(`Error rolling back ${key}:`, error);
+    res.status(500).json({ error: 'Failed to roll back source', message: error.message });
+  }
+});
+
+app.post('/api/snapshots/:key/pin', async (req, res) => {
+  const { key } = req.params;
+  const { snapshotId } = req.body || {};
+  if (!snapshotId) return res.status(400).json({ error: 'snapshotId is required' });
+
+  const notFound = findSnapshotError(key, snapshotId);
+  if (notFound) return res.status(404).json({ error: notFound });
+
+  try {
+    const snapshot = await dataManager.pinSource(key, snapshotId);
+    res.json({ status: 'success', source: key, pinned: snapshot.id });
+  } catch (error) {
+    console.error(`Error pinning ${key}:`, error);
+    res.status(500).json({ error: 'Failed to pin source', message: error.message });
+  }
+});
+
+app.delete('/api/snapshots/:key/pin', async (req, res) => {
+  const { key } = req.params;
+  const notFound = findSnapshotError(key);
+  if (notFound) return res.status(404).json({ error: notFound });
+
+  try {
+    await dataManager.unpinSource(key);
+    res.json({ status: 'success', source: key, pinned: null });
+  } catch (error) {
+    console.error(`Error unpinning ${key}:`, error);
+    res.status(500).json({ error: 'Failed to unpin source', message: error.message });
+  }
+});
+
+// Changes found by the most recent refresh of each source
+app.get('/api/changes', (req, res) => {
+  const changes = {};
+  for (const key of Object.keys(dataManager.sources)) {
+    changes[key] = dataManager.lastRefresh[`${key}_changes`] || null;
+  }
+  res.json(changes);
+});
+
+// GeoJSON diff layer for the most recent refresh of a source; features carry
+// _change = added | removed | modified | previous (the outline before a move)
+app.get('/api/changes/:key', async (req, res) => {
+  const { key } = req.params;
+  const notFound = findSnapshotError(key);
+  if (notFound) return res.status(404).json({ error: notFound });
+
+  try {
+    const diff = await dataManager.getLatestChanges(key);
+    if (!diff) {
+      return res.status(404).json({ error: `No changes recorded for ${key} yet` });
+    }
+
+    if (req.query.format === 'summary') {
+      return res.json({ source: key, from: diff.from, to: diff.to, summary: diff.summary });
+    }
+    res.json({ ...diff.changes, properties: { source: key, from: diff.from, to: diff.to, summary: diff.summary } });
+  } catch (error) {
+    console.error(`Error loading changes for ${key}:`, error);
+    res.status(500).json({ error: 'Failed to load changes', message: error.message });
+  }
+});
+
 // Health check endpoint
 app.get('/healthcheck', (req, res) => {
   const uptime = Math.floor((Date.now() - serverStartTime) / 1000);
@@ -353,60 +964,311 @@ app.get('/', (req, res) => {
     message: 'Ship Cleaning GIS API Server',
     version: '2.0.0',
     endpoints: [
-      '/api/portAuthorities',
-      '/api/marineParks',
-      '/api/fishHabitat',
-      '/api/cockburnSound',
-      '/api/mooringAreas',
-      '/api/marineInfrastructure',
+      ...endpoints.map(key => `/api/${key}`),
+      '/api/layers',
+      '/api/layers/:id',
+      '/api/analyzeProximity (POST)',
+      '/api/evaluateSite (POST)',
+      '/api/vessels',
+      '/api/vessels/:id',
       '/api/bathymetry',
       '/api/recommendedZones',
       '/api/constraintData',
       '/api/coastline',
       '/api/zoneCalculationStatus',
+      '/api/zoneCalculation/cancel',
+      '/api/zoneJobs',
+      '/api/zoneJobs/:id',
+      '/api/zoneJobs/:id/result',
       '/api/dataStatus',
+      '/api/dataRefresh',
+      '/api/validation',
+      '/api/snapshots',
+      '/api/changes',
       '/api/clearCache',
       '/healthcheck'
     ]
   });
 });
 
-// Perform zone calculation
-async function performZoneCalculation() {
-  // Add timeout to prevent hanging
-  const timeout = setTimeout(() => {
-    console.error('Zone calculation timed out after 10 minutes');
-    zoneCalculationStatus.inProgress = false;
-    zoneCalculationStatus.error = 'Calculation timed out after 10 minutes';
-  }, 10 * 60 * 1000); // 10 minutes timeout
-  
+// Queues a calculation job, unless the same calculation is already queued or
+// running; returns { job, created }. A forced recalculation (after the data
+// changed, say) is only satisfied by a job that has not started yet.
+async function submitZoneJob(reason, period = null, vessel = null, scenario = null, method = null, options = {}) {
+  const forceRecalculate = Boolean(options.forceRecalculate);
+  const existing = zoneJobStore.findActive(job =>
+    (job.status === 'queued' || !forceRecalculate) && sameRequest(job.params, period, vessel, scenario, method));
+  if (existing) return { job: existing, created: false };
+
+  const job = await zoneJobStore.create({
+    period: period ? { from: period.from.toISOString(), to: period.to.toISOString() } : null,
+    vessel,
+    scenario: scenario ? scenario.id : null,
+    method,
+    forceRecalculate
+  }, reason);
+  runNextZoneJob();
+  return { job, created: true };
+}
+
+// Starts the oldest queued job when none is running
+function runNextZoneJob() {
+  if (runningZoneJob) return;
+  const job = zoneJobStore.nextQueued();
+  if (!job) return;
+
+  runningZoneJob = job;
+  pendingCancellation = null;
+  performZoneCalculation(job).finally(() => {
+    runningZoneJob = null;
+    runNextZoneJob();
+  });
+}
+
+// Cancels a queued job outright, and the running one by terminating its
+// worker (or, while it is still loading its data, before the worker starts)
+async function cancelZoneJob(job, reason) {
+  if (job.status === 'queued') {
+    await zoneJobStore.fail(job, Object.assign(new Error(reason), { cancelled: true }));
+  } else if (job === runningZoneJob && !zoneCalculationRunner.cancel(reason)) {
+    pendingCancellation = reason;
+  }
+}
+
+function cancellationReason(body) {
+  return typeof body?.reason === 'string' && body.reason.trim()
+    ? `Calculation cancelled: ${body.reason.trim()}`
+    : 'Calculation cancelled';
+}
+
+// A job as the API returns it; `detailed` adds its progress messages
+function describeZoneJob(job, detailed = false) {
+  const { sequence, messages, result, ...fields } = job;
+  return {
+    ...fields,
+    message: messages.length > 0 ? messages[messages.length - 1].message : null,
+    ...(detailed ? { messages } : {}),
+    result: result ? { zones: result.zones, calculationTime: result.calculationTime, totalCandidatePoints: result.totalCandidatePoints } : null,
+    url: `/api/zoneJobs/${job.id}`,
+    resultUrl: result ? `/api/zoneJobs/${job.id}/result` : null
+  };
+}
+
+// The plan the zone routes take from a query string or request body: the
+// period, vessel, suitability scenario and zone method, each null when not
+// given. An unusable one throws, with `invalid` naming which it was.
+function parseZoneRequest(input) {
+  const invalid = (what, message) => Object.assign(new Error(message), { invalid: `Invalid ${what}` });
+
+  let period;
+  let vessel;
+  try {
+    period = parsePeriod(input);
+  } catch (error) {
+    throw invalid('period', error.message);
+  }
+  try {
+    vessel = resolveVessel(input);
+  } catch (error) {
+    throw invalid('vessel', error.message);
+  }
+  const scenario = resolveScenario(input);
+  if (scenario === undefined) {
+    throw invalid('scenario', `Unknown suitability scenario: ${input.scenario}`);
+  }
+  const method = resolveMethod(input);
+  if (method === undefined) {
+    throw invalid('method', `Unknown zone method: ${input.method}`);
+  }
+  return { period, vessel, scenario, method };
+}
+
+// ?at= or ?from=&to= from a query string or request body; null means now
+function parsePeriod(input) {
+  return dataManager.validity.parsePeriod({ at: input?.at, from: input?.from, to: input?.to });
+}
+
+// A vessel given by id (`vessel`) or by its dimensions, either as an object in
+// `vessel` or as loa/beam/draught/... fields; null when none is given
+function resolveVessel(input) {
+  let profile = input?.vessel;
+  if (profile === undefined || profile === null || profile === '') {
+    if (!VesselStore.DIMENSIONS.some(field => input?.[field] !== undefined)) return null;
+    profile = input;
+  }
+
+  if (typeof profile === 'string') {
+    const stored = vesselStore.get(profile);
+    if (!stored) throw new Error(`Unknown vessel: ${profile}`);
+    return VesselStore.resolve(stored);
+  }
+
+  const inline = { name: profile.name || 'Custom vessel', ...VesselStore.dimensions(profile) };
+  const problems = VesselStore.validate(inline);
+  if (problems.length > 0) throw new Error(problems.join(', '));
+  return VesselStore.resolve(inline);
+}
+
+// A suitability scenario named by `scenario`: null when none is given (the
+// default), undefined when the name is unknown
+function resolveScenario(input) {
+  const id = input?.scenario;
+  if (id === undefined || id === null || id === '') return null;
+  return suitabilityModel.getScenario(String(id)) || undefined;
+}
+
+// A zone method named by `method` ('grid' or 'overlay'): null when none is
+// given or it is the configured one, undefined when the name is unknown
+function resolveMethod(input) {
+  const id = input?.method;
+  if (id === undefined || id === null || id === '' || id === zoneCalculator.method) return null;
+  return ZoneCalculator.METHODS[id] ? String(id) : undefined;
+}
+
+// Whether a job's parameters are this period, vessel, scenario and method
+function sameRequest(status, period, vessel, scenario, method) {
+  return samePeriod(status.period, period) && sameVessel(status.vessel, vessel) &&
+    status.scenario === (scenario ? scenario.id : null) && status.method === method;
+}
+
+function samePeriod(status, period) {
+  if (!status || !period) return !status && !period;
+  return status.from === period.from.toISOString() && status.to === period.to.toISOString();
+}
+
+// Every dimension and clearance of the vessel, so a changed profile is a new request
+function sameVessel(a, b) {
+  if (!a || !b) return !a && !b;
+  return [...VesselStore.DIMENSIONS, 'minDepth'].every(field => a[field] === b[field]);
+}
+
+// Everything the zone calculation takes, with the uploaded layers in force
+// during the period (default now)
+async function getConstraintData(period) {
+  const constraintData = await dataManager.getAllData();
+  constraintData.customLayers = await dataManager.getActiveCustomLayers(period);
+  constraintData.studyArea = STUDY_AREA;
+  return constraintData;
+}
+
+// Called by the refresh scheduler when sources got new data
+async function handleSourcesChanged(keys) {
+  const calculationKeys = sourceRegistry.getKeysByRole('hard', 'soft', 'land', 'depth');
+  const affecting = keys.filter(key => calculationKeys.includes(key));
+  if (affecting.length === 0) return;
+
+  const removed = await zoneCalculator.clearCache();
+  console.log(`Cleared ${removed} cached zone calculations after changes to ${affecting.join(', ')}`);
+  await submitZoneJob(`data changed: ${affecting.join(', ')}`, null, null, null, null, { forceRecalculate: true });
+}
+
+// Recalculate when an uploaded or drawn constraint in force now is added,
+// changed or removed; soft layers change the suitability scores
+async function handleCustomLayerChanged(layer, change) {
+  if (layer.role === 'reference' || !dataManager.customLayers.isActive(layer)) return;
+
+  const removed = await zoneCalculator.clearCache();
+  console.log(`Cleared ${removed} cached zone calculations after uploaded layer ${layer.id} was ${change}`);
+  await submitZoneJob(`uploaded layer ${change}: ${layer.name}`, null, null, null, null, { forceRecalculate: true });
+}
+
+// Source data, water mask and depth surface used by point and site analysis,
+// rebuilt only when a source has changed
+let analysisBase = null;
+
+async function getAnalysisBase() {
+  const version = JSON.stringify(dataManager.getActiveSnapshots());
+  if (analysisBase?.version === version) return analysisBase;
+
+  // Land comes from the land-role sources, as in the zone calculation
+  const allData = await dataManager.getAllData();
+  analysisBase = {
+    version,
+    allData,
+    landFeatures: zoneCalculator.extractLandFeatures(allData),
+    depthSurface: zoneCalculator.buildDepthSurface(allData)
+  };
+  analysisBase.waterMask = await zoneCalculator.createWaterMask(STUDY_AREA, analysisBase.landFeatures);
+  return analysisBase;
+}
+
+// Constraint layers in force during the period (default now), with the water
+// mask and the recommended zones calculated for the same period, vessel, scenario and method
+async function getAnalysisContext(period, vessel = null, scenario = null, method = null) {
+  const base = await getAnalysisBase();
+  const constraintData = {
+    ...base.allData,
+    customLayers: await dataManager.getActiveCustomLayers(period),
+    studyArea: STUDY_AREA
+  };
+  const range = dataManager.validity.toPeriod(period);
+  const { data, inactive } = zoneCalculator.selectInForce(constraintData, range);
+
+  const layers = sourceRegistry.getConstraintKeys().map(key => {
+    const source = sourceRegistry.getSource(key);
+    return { key, name: source.description || key, role: source.role, category: source.category, buffer: source.buffer, inactive: inactive.includes(key), data: data[key] };
+  });
+  for (const layer of data.customLayers) {
+    layers.push({ key: layer.id, name: layer.name, role: layer.role, category: layer.category, buffer: layer.buffer, data: layer.data });
+  }
+
+  // Zones for a planned period, a vessel, a scenario or a method exist only once they have been requested and calculated
+  const zones = period || vessel || scenario || method
+    ? await zoneCalculator.findCachedResult(constraintData, { period, vessel, scenario, method, sourceVersions: dataManager.getActiveSnapshots() })
+    : await zoneCalculator.getLatestZones();
+
+  return {
+    period: { from: range.from.toISOString(), to: range.to.toISOString() },
+    layers,
+    waterMask: base.waterMask,
+    landFeatures: base.landFeatures,
+    depthSurface: base.depthSurface,
+    depthRange: zoneCalculator.getDepthRange({ vessel }),
+    vessel,
+    zones
+  };
+}
+
+// Runs a zone calculation job, for now or for a planned period. Never
+// throws; the job records how it ended.
+async function performZoneCalculation(job) {
+  const { params } = job;
   try {
-    console.log('Starting zone calculation...');
+    await zoneJobStore.start(job);
+    console.log(`Starting zone calculation job ${job.id} (${job.reason})...`);
+
+    const period = params.period ? { from: new Date(params.period.from), to: new Date(params.period.to) } : null;
+    const scenario = params.scenario ? suitabilityModel.getScenario(params.scenario) : null;
+    if (params.scenario && !scenario) {
+      throw new Error(`Unknown suitability scenario: ${params.scenario}`);
+    }
     
-    // Get all constraint data
-    const constraintData = await dataManager.getAllData();
-    constraintData.coastline = ENHANCED_COASTLINE;
-    constraintData.studyArea = STUDY_AREA;
+    // Get all constraint data; land comes from the land-role sources
+    const constraintData = await getConstraintData(period);
+    if (pendingCancellation) {
+      throw Object.assign(new Error(pendingCancellation), { cancelled: true });
+    }
     
-    // Calculate zones
-    const result = await zoneCalculator.calculateRecommendedZones(constraintData, {
-      progressCallback: (progress, message) => {
-        zoneCalculationStatus.progress = progress;
-        console.log(`Zone calculation: ${progress}% - ${message}`);
-      }
+    // Calculate zones in the worker
+    const result = await zoneCalculationRunner.run(constraintData, {
+      period: period || undefined,
+      vessel: params.vessel || undefined,
+      scenario: scenario || undefined,
+      method: params.method || undefined,
+      forceRecalculate: params.forceRecalculate || undefined,
+      sourceVersions: dataManager.getActiveSnapshots()
+    }, (progress, message) => {
+      zoneJobStore.progress(job, progress, message);
+      console.log(`Zone calculation: ${progress}% - ${message}`);
     });
     
-    clearTimeout(timeout);
-    zoneCalculationStatus.inProgress = false;
-    zoneCalculationStatus.lastCompleted = new Date().toISOString();
-    zoneCalculationStatus.progress = 100;
-    
-    console.log('Zone calculation completed successfully');
+    await zoneJobStore.complete(job, result);
+    console.log(`Zone calculation job ${job.id} completed successfully`);
   } catch (error) {
-    clearTimeout(timeout);
-    console.error('Zone calculation failed:', error);
-    zoneCalculationStatus.inProgress = false;
-    zoneCalculationStatus.error = error.message;
+    console.error(`Zone calculation job ${job.id} failed:`, error.message);
+    await zoneJobStore.fail(job, error).catch(saveError => {
+      console.error(`Could not record the failure of zone job ${job.id}:`, saveError.message);
+    });
   }
 }
 
@@ -492,16 +1354,14 @@ function getFrementleBathymetryFallback() {
   };
 }
 
-// Export constants for use in other modules
-module.exports.ENHANCED_COASTLINE = ENHANCED_COASTLINE;
-module.exports.STUDY_AREA = STUDY_AREA;
-
 // Initialize and start server
 async function startServer() {
   try {
     // Initialize data manager and zone calculator
     await dataManager.initialize();
     await zoneCalculator.initialize();
+    await vesselStore.initialize();
+    await zoneJobStore.initialize();
     
     console.log('Data manager and zone calculator initialized');
     
@@ -511,6 +1371,13 @@ async function startServer() {
       console.log(`API endpoints available at http://localhost:${port}/api/`);
       console.log('\nNOTE: Run "npm run init-data" to download and cache all GIS data');
     });
+    
+    if (process.env.DATA_REFRESH !== 'off') {
+      refreshScheduler.start();
+    }
+    
+    // Jobs still queued when the server stopped
+    runNextZoneJob();
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
@@ -0,0 +1,530 @@
+const turf = require('@turf/turf');
+const SpatialIndex = require('./spatialIndex');
+
+// Answers "what is near here" for a clicked point and "could we clean here"
+// for a drawn candidate site, against the same constraint layers, water mask
+// and recommended zones the zone calculator uses.
+//
+// A context is { layers: [{ key, name, role, category, buffer, inactive, data }], waterMask,
+// landFeatures, depthSurface, depthRange, vessel, zones }; inactive layers are
+// not in force during the period being analysed, and vessel is the resolved
+// profile of the ship being planned for, if any. Layer features are looked
+// up through an R-tree built once per feature array, so the same snapshot of
+// a layer is not indexed again for each request.
+class SiteAnalyzer {
+  constructor(options = {}) {
+    // Water coverage below this fraction counts as touching land
+    this.minWaterFraction = options.minWaterFraction ?? 0.999;
+  }
+
+  // Results keyed by layer, in the shape /api/analyzeProximity has always returned
+  analyzePoint(lngLat, context) {
+    const point = turf.point(lngLat);
+    const results = {};
+
+    for (const layer of context.layers) {
+      try {
+        results[layer.key] = this.pointProximity(point, layer);
+      } catch (error) {
+        console.warn(`Failed to analyze proximity for ${layer.key}: ${error.message}`);
+        results[layer.key] = { status: 'Analysis failed', error: error.message };
+      }
+    }
+
+    results.waterMask = context.waterMask
+      ? { inWater: turf.booleanPointInPolygon(point, context.waterMask) }
+      : { error: 'Water mask unavailable' };
+
+    results.depth = this.pointDepth(lngLat, context);
+
+    if (context.vessel) {
+      results.vessel = this.pointVessel(point, results, context);
+    }
+
+    if (context.zones?.features) {
+      const [zone] = SpatialIndex.for(context.zones.features).containing(lngLat);
+      results.recommendedZone = { insideRecommendedZone: Boolean(zone) };
+      if (zone?.properties?.suitability) {
+        results.recommendedZone.suitability = zone.properties.suitability;
+        results.recommendedZone.suitabilityLabel = zone.properties.suitabilityLabel;
+        results.recommendedZone.score = zone.properties.score;
+      }
+    } else {
+      results.recommendedZone = { error: 'Recommended zones not available' };
+    }
+
+    return results;
+  }
+
+  // Interpolated water depth (metres) and whether it suits cleaning
+  pointDepth(lngLat, context) {
+    if (!context.depthSurface) {
+      return { error: 'Bathymetry unavailable' };
+    }
+
+    const depth = context.depthSurface.depthAt(lngLat);
+    if (depth === null) {
+      return { depth: null, status: 'Outside the bathymetry coverage' };
+    }
+
+    const { min = null, max = null } = context.depthRange || {};
+    return {
+      depth: Math.round(depth * 10) / 10,
+      minDepth: min,
+      maxDepth: max,
+      withinRange: (min === null || depth >= min) && (max === null || depth <= max)
+    };
+  }
+
+  // Whether a vessel anchored at the point swings clear of every hard
+  // constraint (and its set-back) and of land, with the depth it needs
+  pointVessel(point, results, context) {
+    const { vessel } = context;
+    const conflicts = [];
+    for (const layer of context.layers) {
+      const result = results[layer.key];
+      if (layer.role !== 'hard' || result?.distance === undefined) continue;
+      if (Number(result.distance) * 1000 < vessel.swingRadius + (layer.buffer || 0)) {
+        conflicts.push(layer.name);
+      }
+    }
+
+    const landClear = !this.landWithin(point, context.landFeatures, vessel.swingRadius);
+    const depth = results.depth?.depth ?? null;
+    return {
+      id: vessel.id || null,
+      name: vessel.name,
+      swingRadius: vessel.swingRadius,
+      minDepth: vessel.minDepth,
+      swingClear: conflicts.length === 0 && landClear,
+      conflicts,
+      landClear,
+      depthClear: depth === null ? null : depth >= vessel.minDepth
+    };
+  }
+
+  pointProximity(point, layer) {
+    if (layer.inactive) {
+      return { status: 'Not in force on the planned date', inactive: true, role: layer.role };
+    }
+
+    const index = SpatialIndex.for(layer.data?.features || []);
+    if (index.size === 0) {
+      return { status: 'No features found' };
+    }
+
+    const [containing] = index.containing(point.geometry.coordinates);
+    if (containing) {
+      return this.proximityResult(layer, 0, containing, true);
+    }
+
+    const nearest = index.nearest(turf.bbox(point), part => this.pointDistance(point, part));
+    if (!nearest) {
+      return { status: 'No features found' };
+    }
+    return this.proximityResult(layer, nearest.distance, nearest.feature, false);
+  }
+
+  proximityResult(layer, distance, feature, insideFeature) {
+    const result = {
+      distance: distance.toFixed(2), // km
+      insideFeature,
+      featureName: this.featureName(feature),
+      role: layer.role
+    };
+    if (layer.buffer > 0) {
+      result.category = layer.category || null;
+      result.buffer = layer.buffer; // metres required
+      result.withinBuffer = !insideFeature && distance * 1000 < layer.buffer;
+      if (result.withinBuffer) {
+        result.message = this.bufferMessage(this.featureName(feature, layer.name), distance, layer.buffer);
+      }
+    }
+    return result;
+  }
+
+  // e.g. "Inside buffer of Marmion Marine Park (320 m from boundary, 926 m required)"
+  bufferMessage(name, distance, buffer) {
+    return `Inside buffer of ${name} (${Math.round(distance * 1000)} m from boundary, ${buffer} m required)`;
+  }
+
+  // Distance in km from a point to the nearest edge or position of a feature
+  pointDistance(point, feature) {
+    switch (feature.geometry.type) {
+      case 'Point':
+        return turf.distance(point, feature);
+      case 'MultiPoint':
+        return Math.min(...feature.geometry.coordinates.map(position => turf.distance(point, position)));
+      default:
+        return Math.min(...this.toLines(feature).map(line => turf.pointToLineDistance(point, line)));
+    }
+  }
+
+  // Evaluates a candidate site polygon: how much of it is water, which
+  // constraints it overlaps or comes close to, and how much of it lies in
+  // the recommended zones
+  analyzeSite(site, context) {
+    const siteFeature = site.type === 'Feature' ? site : turf.feature(site);
+    if (!this.isArea(siteFeature)) {
+      throw new Error('A candidate site must be a Polygon or MultiPolygon');
+    }
+
+    const area = turf.area(siteFeature);
+    if (!(area > 0)) {
+      throw new Error('A candidate site must have a non-zero area');
+    }
+
+    const result = {
+      area, // m²
+      centroid: turf.centroid(siteFeature).geometry.coordinates,
+      water: null,
+      recommendedZone: null,
+      constraints: {},
+      suitable: true,
+      reasons: [],
+      warnings: []
+    };
+
+    if (context.waterMask) {
+      const fraction = this.overlapArea(siteFeature, [context.waterMask]) / area;
+      result.water = { fraction, inWater: fraction >= this.minWaterFraction };
+      if (!result.water.inWater) {
+        result.suitable = false;
+        result.reasons.push(`${((1 - fraction) * 100).toFixed(1)}% of the site is on land`);
+      }
+    } else {
+      result.warnings.push('Water mask unavailable; land was not checked');
+    }
+
+    for (const layer of context.layers) {
+      try {
+        const check = this.siteConstraint(siteFeature, area, layer);
+        result.constraints[layer.key] = check;
+
+        if (check.overlapArea > 0 || check.withinBuffer) {
+          const what = check.overlapArea > 0
+            ? `overlaps ${layer.name} (${(check.overlapFraction * 100).toFixed(1)}% of the site)`
+            : `is ${check.message.charAt(0).toLowerCase()}${check.message.slice(1)}`;
+          if (layer.role === 'hard') {
+            result.suitable = false;
+            result.reasons.push(`Site ${what}`);
+          } else {
+            result.warnings.push(`Site ${what}`);
+          }
+        }
+      } catch (error) {
+        console.warn(`Failed to check candidate site against ${layer.key}: ${error.message}`);
+        result.constraints[layer.key] = { name: layer.name, role: layer.role, error: error.message };
+      }
+    }
+
+    if (context.vessel) {
+      result.vessel = this.siteVessel(siteFeature, result, context);
+    }
+
+    if (context.zones?.features) {
+      const fraction = Math.min(1, this.overlapArea(siteFeature, context.zones.features) / area);
+      result.recommendedZone = { fraction };
+      if (fraction < 1) {
+        result.warnings.push(`${((1 - fraction) * 100).toFixed(1)}% of the site is outside the recommended zones`);
+      }
+    } else {
+      result.warnings.push('Recommended zones not available');
+    }
+
+    return result;
+  }
+
+  // Checks that the vessel can lie anywhere in the site: its swing circle
+  // clear of hard constraints and land, and the water deep enough. Adds to
+  // the site's reasons and warnings.
+  siteVessel(site, result, context) {
+    const { vessel } = context;
+    const check = {
+      id: vessel.id || null,
+      name: vessel.name,
+      swingRadius: vessel.swingRadius,
+      minDepth: vessel.minDepth,
+      conflicts: [],
+      landClear: true,
+      shallowestDepth: null
+    };
+
+    for (const layer of context.layers) {
+      const constraint = result.constraints[layer.key];
+      // Overlaps and set-back breaches are already reported
+      if (!constraint || constraint.distance === undefined || constraint.withinBuffer) continue;
+      if (constraint.distance * 1000 >= vessel.swingRadius + (layer.buffer || 0)) continue;
+
+      check.conflicts.push(layer.name);
+      const what = `The ${vessel.name}'s ${vessel.swingRadius}m swing circle reaches ${layer.buffer > 0 ? `the ${layer.buffer}m set-back from ` : ''}${layer.name}`;
+      if (layer.role === 'hard') {
+        result.suitable = false;
+        result.reasons.push(what);
+      } else {
+        result.warnings.push(what);
+      }
+    }
+
+    if (result.water?.inWater !== false && this.landWithin(site, context.landFeatures, vessel.swingRadius)) {
+      check.landClear = false;
+      result.suitable = false;
+      result.reasons.push(`The ${vessel.name}'s ${vessel.swingRadius}m swing circle reaches land`);
+    }
+
+    // Depth at the centre and corners of the site
+    const depths = context.depthSurface
+      ? [turf.centroid(site).geometry.coordinates, ...turf.coordAll(site)]
+        .map(position => context.depthSurface.depthAt(position))
+        .filter(depth => depth !== null)
+      : [];
+    if (depths.length === 0) {
+      result.warnings.push(`Depth at the site is unknown; the ${vessel.name} needs ${vessel.minDepth}m`);
+    } else {
+      check.shallowestDepth = Math.round(Math.min(...depths) * 10) / 10;
+      if (check.shallowestDepth < vessel.minDepth) {
+        result.suitable = false;
+        result.reasons.push(`Water is as shallow as ${check.shallowestDepth}m; the ${vessel.name} needs ${vessel.minDepth}m`);
+      }
+    }
+
+    return check;
+  }
+
+  // Whether any land lies within `metres` of a point or site
+  landWithin(feature, landFeatures = [], metres) {
+    const measure = feature.geometry.type === 'Point'
+      ? part => this.pointDistance(feature, part)
+      : part => this.featureDistance(feature, part);
+    const nearest = SpatialIndex.for(landFeatures).nearest(turf.bbox(feature), measure, { maxDistance: metres / 1000 });
+    return Boolean(nearest) && nearest.distance * 1000 < metres;
+  }
+
+  siteConstraint(site, siteArea, layer) {
+    if (layer.inactive) {
+      return { name: layer.name, role: layer.role, inactive: true, overlapArea: 0, overlapFraction: 0 };
+    }
+
+    const index = SpatialIndex.for(layer.data?.features || []);
+    const siteBBox = turf.bbox(site);
+    const areas = index.search(siteBBox).filter(feature => this.isArea(feature));
+    const overlapArea = Math.min(siteArea, this.overlapArea(site, areas));
+
+    const check = {
+      name: layer.name,
+      role: layer.role,
+      overlapArea, // m²
+      overlapFraction: overlapArea / siteArea
+    };
+
+    let nearest = null;
+    if (overlapArea === 0) {
+      const found = index.nearest(siteBBox, part => this.featureDistance(site, part));
+      if (found) {
+        nearest = found.feature;
+        check.distance = found.distance; // km
+        check.featureName = this.featureName(nearest);
+      }
+    }
+
+    if (layer.buffer > 0) {
+      check.category = layer.category || null;
+      check.buffer = layer.buffer;
+      check.withinBuffer = overlapArea === 0 && check.distance !== undefined && check.distance * 1000 < layer.buffer;
+      if (check.withinBuffer) {
+        check.message = this.bufferMessage(this.featureName(nearest, layer.name), check.distance, layer.buffer);
+      }
+    }
+
+    return check;
+  }
+
+  // The features keeping a point or polygon out of the recommended zones:
+  // land, hard constraints in force and their set-backs (widened by the
+  // vessel's swing radius), and depths outside the range. Returns them as a
+  // FeatureCollection, each with the reason in its properties.
+  blockingFeatures(geometry, context) {
+    const query = geometry.type === 'Feature' ? geometry : turf.feature(geometry);
+    const isPoint = query.geometry?.type === 'Point';
+    if (!isPoint && !this.isArea(query)) {
+      throw new Error('An exclusion query needs a Point, Polygon or MultiPolygon');
+    }
+
+    const swingRadius = context.vessel ? context.vessel.swingRadius : 0;
+    const lat = turf.centroid(query).geometry.coordinates[1];
+    const features = [];
+    const block = (feature, reason) => features.push({
+      type: 'Feature',
+      properties: { ...reason, attributes: feature?.properties || {} },
+      geometry: feature ? feature.geometry : null
+    });
+
+    // Only features whose bounding boxes come within the set-back are measured
+    const [minX, minY, maxX, maxY] = turf.bbox(query);
+    const reach = setback => {
+      const margin = setback / 111320 / Math.max(0.1, Math.cos(lat * Math.PI / 180));
+      return [minX - margin, minY - margin, maxX + margin, maxY + margin];
+    };
+
+    for (const land of SpatialIndex.for(context.landFeatures || []).search(reach(swingRadius))) {
+      const distance = this.queryDistance(query, land, isPoint);
+      if (distance === 0) {
+        block(land, { type: 'land', key: 'land', name: 'Land', distance: 0, message: 'On land' });
+      } else if (distance * 1000 < swingRadius) {
+        block(land, {
+          type: 'setback', key: 'land', name: 'Land', distance: Math.round(distance * 1000), buffer: swingRadius,
+          message: `Within the ${swingRadius} m swing circle of land (${Math.round(distance * 1000)} m away)`
+        });
+      }
+    }
+
+    for (const layer of context.layers) {
+      if (layer.role !== 'hard' || layer.inactive) continue;
+      const setback = (layer.buffer || 0) + swingRadius;
+      for (const feature of SpatialIndex.for(layer.data?.features || []).search(reach(setback))) {
+        const distance = this.queryDistance(query, feature, isPoint);
+        const reason = {
+          key: layer.key,
+          name: layer.name,
+          featureName: this.featureName(feature, null),
+          distance: Math.round(distance * 1000) // metres
+        };
+        // Points and lines only exclude anything through their set-back
+        if (distance === 0 && this.isArea(feature)) {
+          block(feature, { type: 'constraint', ...reason, message: `Inside ${this.featureName(feature, layer.name)}` });
+        } else if (distance * 1000 < setback) {
+          block(feature, {
+            type: 'setback', ...reason, buffer: setback,
+            message: distance === 0
+              ? `Overlaps the ${setback} m buffer of ${this.featureName(feature, layer.name)}`
+              : this.bufferMessage(this.featureName(feature, layer.name), distance, setback)
+          });
+        }
+      }
+    }
+
+    const depth = this.depthOutOfRange(query, isPoint, context);
+    if (depth) block(null, depth);
+
+    return turf.featureCollection(features);
+  }
+
+  // km between the query and a feature; 0 when they touch or overlap
+  queryDistance(query, feature, isPoint) {
+    if (isPoint) {
+      if (this.isArea(feature) && turf.booleanPointInPolygon(query, feature)) return 0;
+      return this.pointDistance(query, feature);
+    }
+    if (turf.booleanIntersects(query, feature)) return 0;
+    return this.featureDistance(query, feature);
+  }
+
+  // A depth reason when the water at the point, or anywhere in the polygon
+  // (sampled on a grid), is outside the depth range
+  depthOutOfRange(query, isPoint, context) {
+    const range = context.depthRange;
+    if (!context.depthSurface || !range) return null;
+
+    let positions = [query.geometry.coordinates];
+    if (!isPoint) {
+      const bbox = turf.bbox(query);
+      const side = Math.max(bbox[2] - bbox[0], bbox[3] - bbox[1]) / 20;
+      positions = turf.pointGrid(bbox, side, { units: 'degrees', mask: query }).features
+        .map(point => point.geometry.coordinates)
+        .concat([turf.pointOnFeature(query).geometry.coordinates]);
+    }
+
+    const depths = positions.map(position => context.depthSurface.depthAt(position)).filter(depth => depth !== null);
+    const outside = depths.filter(depth =>
+      (range.min !== null && depth < range.min) || (range.max !== null && depth > range.max)
+    );
+    if (outside.length === 0) return null;
+
+    const round = value => Math.round(value * 10) / 10;
+    const shallowest = round(Math.min(...outside));
+    const deepest = round(Math.max(...outside));
+    const limits = [range.min !== null && `at least ${range.min} m`, range.max !== null && `at most ${range.max} m`]
+      .filter(Boolean).join(' and ');
+    return {
+      type: 'depth',
+      key: 'depth',
+      name: 'Water depth',
+      min: range.min,
+      max: range.max,
+      minDepth: shallowest,
+      maxDepth: deepest,
+      message: `Water is ${shallowest === deepest ? `${shallowest} m` : `${shallowest}-${deepest} m`} deep; zones need ${limits}`
+    };
+  }
+
+  // Area in m² of the site covered by the given polygons (overlaps between
+  // them are counted twice, so callers cap the result at the site area)
+  overlapArea(site, features) {
+    const siteBBox = turf.bbox(site);
+    let total = 0;
+
+    for (const feature of features) {
+      if (!this.bboxesOverlap(siteBBox, turf.bbox(feature))) continue;
+      try {
+        const intersection = turf.intersect(site, feature);
+        if (intersection) total += turf.area(intersection);
+      } catch (error) {
+        console.warn('Error intersecting candidate site:', error.message);
+      }
+    }
+
+    return total;
+  }
+
+  // Shortest distance in km between a site polygon and a feature that does not
+  // overlap it; for two polygons it falls on a vertex of one of them
+  featureDistance(site, feature) {
+    const siteLines = this.toLines(site);
+    const fromSite = positions => Math.min(...positions.map(position =>
+      Math.min(...siteLines.map(line => turf.pointToLineDistance(position, line)))
+    ));
+
+    if (feature.geometry.type === 'Point' || feature.geometry.type === 'MultiPoint') {
+      return fromSite(turf.coordAll(feature));
+    }
+
+    const featureLines = this.toLines(feature);
+    const toFeature = Math.min(...turf.coordAll(site).map(position =>
+      Math.min(...featureLines.map(line => turf.pointToLineDistance(position, line)))
+    ));
+    return Math.min(toFeature, fromSite(turf.coordAll(feature)));
+  }
+
+  // Outline of a feature as LineStrings
+  toLines(feature) {
+    const { type, coordinates } = feature.geometry;
+    switch (type) {
+      case 'LineString':
+        return [turf.lineString(coordinates)];
+      case 'MultiLineString':
+        return coordinates.map(line => turf.lineString(line));
+      case 'Polygon':
+        return coordinates.map(ring => turf.lineString(ring));
+      case 'MultiPolygon':
+        return coordinates.flatMap(polygon => polygon.map(ring => turf.lineString(ring)));
+      default:
+        return [];
+    }
+  }
+
+  isArea(feature) {
+    const type = feature?.geometry?.type;
+    return type === 'Polygon' || type === 'MultiPolygon';
+  }
+
+  bboxesOverlap(a, b) {
+    return a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+  }
+
+  featureName(feature, fallback = 'Unnamed Feature') {
+    const properties = feature?.properties || {};
+    return properties.NAME || properties.Name || properties.name || fallback;
+  }
+}
+
+module.exports = SiteAnalyzer;
@@ -0,0 +1,189 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Keeps every successful download of a source as a timestamped snapshot so a
+// broken upstream update can be inspected, diffed and rolled back.
+class SnapshotStore {
+  constructor(options = {}) {
+    this.snapshotDir = options.snapshotDir || path.join(__dirname, 'gis_snapshots');
+    this.maxSnapshots = options.maxSnapshots || 10; // per source
+    this.maxAgeDays = options.maxAgeDays || 180;
+    this.index = {};
+  }
+
+  async initialize() {
+    await fs.mkdir(this.snapshotDir, { recursive: true });
+
+    try {
+      const index = await fs.readFile(this.indexPath(), 'utf8');
+      this.index = JSON.parse(index);
+    } catch (error) {
+      // No snapshots yet
+      this.index = {};
+    }
+  }
+
+  indexPath() {
+    return path.join(this.snapshotDir, 'index.json');
+  }
+
+  async saveIndex() {
+    await fs.writeFile(this.indexPath(), JSON.stringify(this.index, null, 2));
+  }
+
+  getEntry(key) {
+    if (!this.index[key]) {
+      this.index[key] = { active: null, pinned: null, snapshots: [] };
+    }
+    return this.index[key];
+  }
+
+  async saveSnapshot(key, data, hash, details = {}) {
+    const entry = this.getEntry(key);
+    const latest = entry.snapshots[entry.snapshots.length - 1];
+
+    // Identical to the last download, nothing new to keep
+    if (latest && latest.hash === hash) {
+      return latest;
+    }
+
+    const createdAt = new Date().toISOString();
+    const id = `${createdAt.replace(/[:.]/g, '-')}_${hash.substring(0, 8)}`;
+    const file = path.join(key, `${id}.json`);
+    const serialized = JSON.stringify(data);
+
+    await fs.mkdir(path.join(this.snapshotDir, key), { recursive: true });
+    await fs.writeFile(path.join(this.snapshotDir, file), serialized);
+
+    const snapshot = {
+      id,
+      createdAt,
+      hash,
+      features: data.features?.length || 0,
+      size: serialized.length,
+      file,
+      ...details
+    };
+
+    entry.snapshots.push(snapshot);
+    await this.applyRetention(key);
+    await this.saveIndex();
+
+    return snapshot;
+  }
+
+  // Drops snapshots beyond the count/age limits, never the active, pinned or newest one
+  async applyRetention(key) {
+    const entry = this.getEntry(key);
+    const cutoff = Date.now() - this.maxAgeDays * 24 * 60 * 60 * 1000;
+    const newest = entry.snapshots[entry.snapshots.length - 1];
+
+    const keep = [];
+    const expired = [];
+    entry.snapshots.forEach((snapshot, index) => {
+      const fromEnd = entry.snapshots.length - index;
+      const protectedSnapshot = snapshot.id === entry.pinned || snapshot.id === entry.active || snapshot === newest;
+      const tooOld = new Date(snapshot.createdAt).getTime() < cutoff;
+
+      if (!protectedSnapshot && (fromEnd > this.maxSnapshots || tooOld)) {
+        expired.push(snapshot);
+      } else {
+        keep.push(snapshot);
+      }
+    });
+
+    for (const snapshot of expired) {
+      for (const file of [snapshot.file, snapshot.diffFile].filter(Boolean)) {
+        try {
+          await fs.unlink(path.join(this.snapshotDir, file));
+        } catch (error) {
+          console.warn(`Failed to delete expired snapshot ${snapshot.id}:`, error.message);
+        }
+      }
+    }
+
+    entry.snapshots = keep;
+    return expired.map(snapshot => snapshot.id);
+  }
+
+  getLatest(key) {
+    const snapshots = this.index[key]?.snapshots || [];
+    return snapshots[snapshots.length - 1] || null;
+  }
+
+  listSources() {
+    return Object.keys(this.index);
+  }
+
+  listSnapshots(key) {
+    const entry = this.index[key];
+    if (!entry) return [];
+
+    return entry.snapshots
+      .map(snapshot => ({
+        ...snapshot,
+        active: snapshot.id === entry.active,
+        pinned: snapshot.id === entry.pinned
+      }))
+      .reverse();
+  }
+
+  findSnapshot(key, id) {
+    const snapshot = this.index[key]?.snapshots.find(s => s.id === id);
+    if (!snapshot) {
+      throw new Error(`Snapshot ${id} not found for ${key}`);
+    }
+    return snapshot;
+  }
+
+  async loadSnapshot(key, id) {
+    const snapshot = this.findSnapshot(key, id);
+    const data = await fs.readFile(path.join(this.snapshotDir, snapshot.file), 'utf8');
+    return { snapshot, data: JSON.parse(data) };
+  }
+
+  getActive(key) {
+    return this.index[key]?.active || null;
+  }
+
+  async setActive(key, id) {
+    this.getEntry(key).active = id;
+    await this.saveIndex();
+  }
+
+  getPinned(key) {
+    return this.index[key]?.pinned || null;
+  }
+
+  async pin(key, id) {
+    this.findSnapshot(key, id);
+    this.getEntry(key).pinned = id;
+    await this.saveIndex();
+  }
+
+  async unpin(key) {
+    this.getEntry(key).pinned = null;
+    await this.saveIndex();
+  }
+
+  // Feature-level changes between a snapshot and the download before it
+  async saveDiff(key, id, diff) {
+    const snapshot = this.findSnapshot(key, id);
+    snapshot.diffFile = path.join(key, `${id}.diff.json`);
+    snapshot.diff = diff.summary;
+    snapshot.previous = diff.from;
+
+    await fs.writeFile(path.join(this.snapshotDir, snapshot.diffFile), JSON.stringify(diff));
+    await this.saveIndex();
+  }
+
+  async loadDiff(key, id) {
+    const snapshot = this.findSnapshot(key, id);
+    if (!snapshot.diffFile) return null;
+
+    const diff = await fs.readFile(path.join(this.snapshotDir, snapshot.diffFile), 'utf8');
+    return JSON.parse(diff);
+  }
+}
+
+module.exports = SnapshotStore;
@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const ArcGISAdapter = require('./arcgisAdapter');
+const FileLoader = require('./fileLoader');
+const TemporalValidity = require('./temporalValidity');
+const BufferRules = require('./bufferRules');
+
+// Constraint roles a source can play in the zone calculation; `depth` sources
+// (contours or soundings) give the water depth surface
+const ROLES = ['hard', 'soft', 'land', 'depth', 'reference'];
+const PARSERS = ['geojson', 'osm'];
+// How a source is fetched: a single HTTP request, a paged ArcGIS REST query,
+// or a file on disk
+const ADAPTERS = ['http', 'arcgis', 'file'];
+
+class SourceRegistry {
+  constructor(options = {}) {
+    this.configPath = options.configPath ||
+      process.env.DATA_SOURCES_CONFIG ||
+      path.join(__dirname, 'config', 'dataSources.json');
+    this.studyArea = null;
+    this.depthRange = null;
+    this.bufferRules = options.bufferRules || new BufferRules({ rulesPath: options.bufferRulesPath });
+    this.sources = this.load();
+  }
+
+  load() {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.configPath, 'utf8');
+    } catch (error) {
+      throw new Error(`Unable to read data source config ${this.configPath}: ${error.message}`);
+    }
+
+    const ext = path.extname(this.configPath).toLowerCase();
+    const config = (ext === '.yaml' || ext === '.yml') ? yaml.load(raw) : JSON.parse(raw);
+    const entries = Array.isArray(config) ? config : config?.sources;
+
+    if (!Array.isArray(entries)) {
+      throw new Error(`Data source config ${this.configPath} must contain a "sources" array`);
+    }
+
+    this.studyArea = this.normalizeStudyArea(Array.isArray(config) ? null : config.studyArea);
+    this.depthRange = this.normalizeDepthRange(Array.isArray(config) ? null : config.depthRange);
+
+    const sources = {};
+    for (const entry of entries) {
+      const source = this.normalizeSource(entry);
+      if (sources[source.id]) {
+        throw new Error(`Duplicate data source id: ${source.id}`);
+      }
+      sources[source.id] = source;
+    }
+
+    return sources;
+  }
+
+  normalizeStudyArea(studyArea) {
+    const bbox = studyArea?.bbox || [115.2, -32.60, 116.0, -30.90];
+    if (!Array.isArray(bbox) || bbox.length !== 4 || bbox.some(value => typeof value !== 'number')) {
+      throw new Error(`Study area bbox must be [minX, minY, maxX, maxY], got ${JSON.stringify(bbox)}`);
+    }
+
+    // Sanity envelope for ingest validation; features outside it are quarantined
+    const validBounds = studyArea?.validBounds || [112.0, -35.5, 129.5, -13.5];
+    if (!Array.isArray(validBounds) || validBounds.length !== 4 || validBounds.some(value => typeof value !== 'number')) {
+      throw new Error(`Study area validBounds must be [minX, minY, maxX, maxY], got ${JSON.stringify(validBounds)}`);
+    }
+
+    // Seasonal schedules and date-only validity are read as local dates here
+    const timeZone = studyArea?.timeZone || 'Australia/Perth';
+    if (!TemporalValidity.isTimeZone(timeZone)) {
+      throw new Error(`Study area timeZone is not a known IANA time zone: ${timeZone}`);
+    }
+
+    return {
+      description: studyArea?.description || 'Study area',
+      bbox,
+      timeZone,
+      clipBuffer: Number(studyArea?.clipBuffer ?? 5000), // metres
+      validBounds
+    };
+  }
+
+  // Water depths (metres) a cleaning zone must lie within. Points where the
+  // depth is unknown are kept unless excludeUnknown is set.
+  normalizeDepthRange(depthRange) {
+    const range = {
+      min: depthRange?.min ?? null,
+      max: depthRange?.max ?? null,
+      excludeUnknown: depthRange?.excludeUnknown === true
+    };
+    for (const field of ['min', 'max']) {
+      if (range[field] !== null && !Number.isFinite(range[field])) {
+        throw new Error(`depthRange.${field} must be a number of metres, got ${JSON.stringify(range[field])}`);
+      }
+    }
+    if (range.min !== null && range.max !== null && range.max < range.min) {
+      throw new Error(`depthRange.max (${range.max}) is less than depthRange.min (${range.min})`);
+    }
+    return range;
+  }
+
+  normalizeSource(entry) {
+    if (!entry || typeof entry.id !== 'string' || !entry.id) {
+      throw new Error(`Data source entry is missing an id: ${JSON.stringify(entry)}`);
+    }
+    if (!entry.url && !entry.path) {
+      throw new Error(`Data source ${entry.id} needs a url or a local path`);
+    }
+
+    const role = entry.role || 'hard';
+    if (!ROLES.includes(role)) {
+      throw new Error(`Data source ${entry.id} has unknown role "${role}" (expected one of ${ROLES.join(', ')})`);
+    }
+
+    const parser = entry.parser || 'geojson';
+    if (!PARSERS.includes(parser)) {
+      throw new Error(`Data source ${entry.id} has unknown parser "${parser}"`);
+    }
+
+    const adapter = entry.adapter ||
+      (entry.path ? 'file' : ArcGISAdapter.isArcGISUrl(entry.url) ? 'arcgis' : 'http');
+    if (!ADAPTERS.includes(adapter)) {
+      throw new Error(`Data source ${entry.id} has unknown adapter "${adapter}"`);
+    }
+
+    if (adapter === 'file') {
+      if (!entry.path) {
+        throw new Error(`Data source ${entry.id} uses the file adapter but has no path`);
+      }
+      const format = entry.format || FileLoader.detectFormat(entry.path);
+      if (!Object.values(FileLoader.FORMATS).includes(format)) {
+        throw new Error(`Data source ${entry.id} has an unsupported file format: ${entry.format || path.extname(entry.path)}`);
+      }
+      if (entry.fallbackPath && !FileLoader.detectFormat(entry.fallbackPath)) {
+        throw new Error(`Data source ${entry.id} has a fallbackPath of an unsupported format: ${entry.fallbackPath}`);
+      }
+    }
+
+    const validityProblems = TemporalValidity.validateSpec(entry.validity);
+    if (validityProblems.length > 0) {
+      throw new Error(`Data source ${entry.id} has invalid validity: ${validityProblems.join(', ')}`);
+    }
+
+    if (entry.category !== undefined && !this.bufferRules.has(entry.category)) {
+      throw new Error(`Data source ${entry.id} has unknown buffer category "${entry.category}"`);
+    }
+
+    return {
+      ...entry,
+      // Local files are resolved against the project root
+      path: entry.path ? path.resolve(__dirname, entry.path) : null,
+      fallbackPath: entry.fallbackPath ? path.resolve(__dirname, entry.fallbackPath) : null,
+      description: entry.description || entry.id,
+      parser,
+      adapter,
+      priority: entry.priority || 999,
+      role,
+      group: entry.group || 'Other Layers',
+      // Set-back in metres: the source's own buffer or its category's, whichever is larger
+      category: entry.category || null,
+      buffer: this.bufferRules.bufferFor(entry.category, entry.buffer),
+      style: entry.style || { color: '#666666', weight: 2, opacity: 0.8, fillOpacity: 0.2 },
+      route: entry.route !== false,
+      clip: entry.clip !== false,
+      simplifyTolerance: Number(entry.simplifyTolerance ?? 0.5), // screen pixels, 0 disables
+      visible: entry.visible !== false,
+      validity: entry.validity || null,
+      // Attribute holding the depth, for depth sources; guessed when not set
+      depthProperty: entry.depthProperty || null
+    };
+  }
+
+  getSources() {
+    return this.sources;
+  }
+
+  getStudyArea() {
+    return this.studyArea;
+  }
+
+  getDepthRange() {
+    return this.depthRange;
+  }
+
+  getBufferRules() {
+    return this.bufferRules;
+  }
+
+  getSource(id) {
+    return this.sources[id] || null;
+  }
+
+  getKeysByRole(...roles) {
+    return Object.values(this.sources)
+      .filter(source => roles.includes(source.role))
+      .map(source => source.id);
+  }
+
+  // Sources that exclude or penalise areas in the zone calculation
+  getConstraintKeys() {
+    return this.getKeysByRole('hard', 'soft');
+  }
+
+  getLandKeys() {
+    return this.getKeysByRole('land');
+  }
+
+  getDepthKeys() {
+    return this.getKeysByRole('depth');
+  }
+
+  // Sources served from /api/<id>
+  getRoutedKeys() {
+    return Object.values(this.sources)
+      .filter(source => source.route)
+      .map(source => source.id);
+  }
+
+  // Layer list consumed by the frontend to build its sidebar and legend
+  getLayerDefinitions() {
+    return Object.values(this.sources)
+      .filter(source => source.route)
+      .map(source => ({
+        id: source.id,
+        description: source.description,
+        url: `/api/${source.id}`,
+        role: source.role,
+        group: source.group,
+        style: source.style,
+        visible: source.visible,
+        validity: source.validity,
+        category: source.category,
+        buffer: source.buffer
+      }));
+  }
+}
+
+SourceRegistry.ROLES = ROLES;
+
+module.exports = SourceRegistry;
@@ -0,0 +1,247 @@
+const turf = require('@turf/turf');
+
+// Kilometres per degree of latitude on turf's earth radius, shaved a little so
+// bounding box distances never exceed the true distance
+const KM_PER_DEGREE = 6371.0088 * Math.PI / 180 * 0.995;
+// Feature outlines are indexed in chunks of at most this many segments
+const CHUNK_SEGMENTS = 32;
+
+// Indexes, keyed by the feature array they were built from, so each snapshot
+// of a layer is indexed once however many requests read it
+const built = new WeakMap();
+
+// A static R-tree, packed bottom-up with Sort-Tile-Recursive: items are
+// sorted into slices by x, each slice by y, and cut into full nodes, and the
+// nodes are packed the same way until one root is left. Items are
+// { bbox, ... } and are returned as given.
+class PackedRTree {
+  constructor(items, nodeSize = 16) {
+    this.nodeSize = nodeSize;
+    this.size = items.length;
+    let level = items.map(item => ({ bbox: item.bbox, item }));
+    if (level.length === 0) {
+      this.root = null;
+      return;
+    }
+    while (level.length > 1) {
+      level = this.pack(level);
+    }
+    this.root = level[0];
+  }
+
+  pack(entries) {
+    const centre = (entry, axis) => (entry.bbox[axis] + entry.bbox[axis + 2]) / 2;
+    const perNode = this.nodeSize;
+    const nodeCount = Math.ceil(entries.length / perNode);
+    const sliceSize = Math.ceil(entries.length / Math.ceil(Math.sqrt(nodeCount)));
+
+    const sorted = [...entries].sort((a, b) => centre(a, 0) - centre(b, 0));
+    const nodes = [];
+    for (let i = 0; i < sorted.length; i += sliceSize) {
+      const slice = sorted.slice(i, i + sliceSize).sort((a, b) => centre(a, 1) - centre(b, 1));
+      for (let j = 0; j < slice.length; j += perNode) {
+        const children = slice.slice(j, j + perNode);
+        const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+        for (const child of children) {
+          bbox[0] = Math.min(bbox[0], child.bbox[0]);
+          bbox[1] = Math.min(bbox[1], child.bbox[1]);
+          bbox[2] = Math.max(bbox[2], child.bbox[2]);
+          bbox[3] = Math.max(bbox[3], child.bbox[3]);
+        }
+        nodes.push({ bbox, children });
+      }
+    }
+    return nodes;
+  }
+
+  // Items whose bounding boxes overlap bbox
+  search(bbox) {
+    const found = [];
+    if (!this.root) return found;
+    const stack = [this.root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (!bboxesOverlap(node.bbox, bbox)) continue;
+      if (node.item) {
+        found.push(node.item);
+      } else {
+        stack.push(...node.children);
+      }
+    }
+    return found;
+  }
+
+  // The item nearest to bbox by measure(item) (km), visiting nodes closest
+  // first and stopping once no unvisited node can be nearer. Returns
+  // { item, distance } or null when nothing is within maxDistance.
+  nearest(bbox, measure, maxDistance = Infinity) {
+    if (!this.root) return null;
+    const queue = new MinHeap();
+    queue.push(bboxDistance(this.root.bbox, bbox), { node: this.root });
+
+    while (queue.size > 0) {
+      const { priority, value } = queue.pop();
+      if (priority > maxDistance) return null;
+      if (value.exact) return { item: value.item, distance: priority };
+
+      const { node } = value;
+      if (node.item) {
+        // Its true distance goes back in the queue; it wins if nothing beats it
+        queue.push(measure(node.item), { exact: true, item: node.item });
+        continue;
+      }
+      for (const child of node.children) {
+        queue.push(bboxDistance(child.bbox, bbox), { node: child });
+      }
+    }
+    return null;
+  }
+}
+
+// Binary heap of { priority, value }, smallest priority first
+class MinHeap {
+  constructor() {
+    this.entries = [];
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  push(priority, value) {
+    const entries = this.entries;
+    entries.push({ priority, value });
+    let i = entries.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (entries[parent].priority <= entries[i].priority) break;
+      [entries[parent], entries[i]] = [entries[i], entries[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const entries = this.entries;
+    const top = entries[0];
+    const last = entries.pop();
+    if (entries.length > 0) {
+      entries[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < entries.length && entries[left].priority < entries[smallest].priority) smallest = left;
+        if (right < entries.length && entries[right].priority < entries[smallest].priority) smallest = right;
+        if (smallest === i) break;
+        [entries[smallest], entries[i]] = [entries[i], entries[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+function bboxesOverlap(a, b) {
+  return a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+}
+
+// A lower bound in km on the distance between anything in two bounding boxes
+function bboxDistance(a, b) {
+  const dx = Math.max(0, a[0] - b[2], b[0] - a[2]);
+  const dy = Math.max(0, a[1] - b[3], b[1] - a[3]);
+  if (dx === 0 && dy === 0) return 0;
+  // Degrees of longitude are shortest at the latitude furthest from the equator
+  const lat = Math.min(89, Math.max(Math.abs(a[1]), Math.abs(a[3]), Math.abs(b[1]), Math.abs(b[3])));
+  return Math.hypot(dx * Math.cos(lat * Math.PI / 180), dy) * KM_PER_DEGREE;
+}
+
+// Packed R-tree over a set of features for the spatial queries the zone
+// calculator and the point and site analysis make: features whose bounding
+// box overlaps an area, areas containing a point, and the nearest feature to
+// a point or polygon. For nearest queries the outlines are prepared once as
+// short chunks in a second tree, so a query measures only the few chunks
+// near it rather than every edge of every feature. Results come back in the
+// order the features were given.
+class SpatialIndex {
+  constructor(features = [], options = {}) {
+    this.nodeSize = options.nodeSize || 16;
+    this.entries = features
+      .filter(feature => feature && feature.geometry)
+      .map((feature, order) => ({ feature, order, bbox: turf.bbox(feature) }));
+    this.tree = new PackedRTree(this.entries, this.nodeSize);
+    this.edges = null; // built on the first nearest query
+  }
+
+  // The index for a feature array, built on first use and kept as long as
+  // the array is
+  static for(features) {
+    if (!built.has(features)) built.set(features, new SpatialIndex(features));
+    return built.get(features);
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  // Features whose bounding boxes overlap bbox
+  search(bbox) {
+    return this.tree.search(bbox)
+      .sort((a, b) => a.order - b.order)
+      .map(entry => entry.feature);
+  }
+
+  // Polygon features containing a [lng, lat] position
+  containing(position) {
+    return this.search([position[0], position[1], position[0], position[1]]).filter(feature => {
+      const type = feature.geometry.type;
+      return (type === 'Polygon' || type === 'MultiPolygon') && turf.booleanPointInPolygon(position, feature);
+    });
+  }
+
+  // The feature nearest to a query, given by its bounding box and a
+  // measure(part) returning the km from the query to a part of a feature's
+  // outline: a LineString chunk of its edges, or one of its points. Returns
+  // { feature, distance, part }, or null when there are no features or none
+  // within options.maxDistance (km). Being inside an area does not count as
+  // a distance of 0; use containing() for that.
+  nearest(bbox, measure, options = {}) {
+    if (!this.edges) this.edges = new PackedRTree(this.prepareEdges(), this.nodeSize);
+    const found = this.edges.nearest(bbox, chunk => measure(chunk.part), options.maxDistance ?? Infinity);
+    return found ? { feature: found.item.feature, distance: found.distance, part: found.item.part } : null;
+  }
+
+  prepareEdges() {
+    const chunks = [];
+    for (const { feature } of this.entries) {
+      const { type, coordinates } = feature.geometry;
+      if (type === 'Point') {
+        chunks.push({ feature, part: feature, bbox: [...coordinates, ...coordinates] });
+        continue;
+      }
+      if (type === 'MultiPoint') {
+        for (const position of coordinates) {
+          chunks.push({ feature, part: turf.point(position), bbox: [...position, ...position] });
+        }
+        continue;
+      }
+
+      const lines = type === 'LineString' ? [coordinates]
+        : type === 'MultiLineString' || type === 'Polygon' ? coordinates
+          : type === 'MultiPolygon' ? coordinates.flat()
+            : [];
+      for (const line of lines) {
+        // Consecutive chunks share a vertex so no segment is lost
+        for (let start = 0; start < line.length - 1; start += CHUNK_SEGMENTS) {
+          const part = turf.lineString(line.slice(start, start + CHUNK_SEGMENTS + 1));
+          chunks.push({ feature, part, bbox: turf.bbox(part) });
+        }
+      }
+    }
+    return chunks;
+  }
+}
+
+SpatialIndex.bboxDistance = bboxDistance;
+
+module.exports = SpatialIndex;
@@ -0,0 +1,269 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const SpatialIndex = require('./spatialIndex');
+
+// `distance` factors score by distance from a set of features, `depth` by
+// how close the water depth is to a preferred band
+const FACTOR_TYPES = ['distance', 'depth'];
+const METRES_PER_DEGREE = 111320;
+
+// Metres from [lng, lat] to the nearest feature in an index: 0 inside an
+// area, and Infinity when nothing is within `limit` metres. Distances are
+// planar in a local projection around the point, which is close enough for
+// scoring at these ranges.
+function distanceTo(index, [lng, lat], limit) {
+  if (index.containing([lng, lat]).length > 0) return 0;
+
+  const kx = Math.cos(lat * Math.PI / 180) * METRES_PER_DEGREE;
+  const ky = METRES_PER_DEGREE;
+  const nearest = index.nearest([lng, lat, lng, lat], part => {
+    const { type, coordinates } = part.geometry;
+    const line = type === 'Point' ? [coordinates, coordinates] : coordinates;
+    let best = Infinity;
+    for (let i = 0; i < line.length - 1; i++) {
+      best = Math.min(best, segmentDistance(
+        (line[i][0] - lng) * kx, (line[i][1] - lat) * ky,
+        (line[i + 1][0] - lng) * kx, (line[i + 1][1] - lat) * ky
+      ));
+    }
+    return best / 1000;
+  }, { maxDistance: limit / 1000 });
+  return nearest ? nearest.distance * 1000 : Infinity;
+}
+
+// Distance from the origin to the segment (ax, ay)-(bx, by)
+function segmentDistance(ax, ay, bx, by) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+  return Math.hypot(ax + t * dx, ay + t * dy);
+}
+
+// 1 at `best`, 0 at `worst` and linear in between; best may be either side of worst
+function linearScore(value, best, worst) {
+  const score = (value - worst) / (best - worst);
+  return Math.max(0, Math.min(1, score));
+}
+
+// Multi-criteria suitability of candidate cleaning locations. Hard constraints
+// still exclude locations outright; the factors here (distance from port,
+// depth, exposure, nearby habitat and soft constraints) are preferences, each
+// scored from 0 to 1 and combined as a weighted mean into a 0-100 score. A
+// scenario in config/suitability.json sets the weights, and the classes grade
+// the score into high, medium and low suitability zones.
+class SuitabilityModel {
+  constructor(options = {}) {
+    this.configPath = options.configPath ||
+      process.env.SUITABILITY_CONFIG ||
+      path.join(__dirname, 'config', 'suitability.json');
+    this.registry = options.registry || null;
+    this.config = this.load();
+  }
+
+  load() {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.configPath, 'utf8');
+    } catch (error) {
+      throw new Error(`Unable to read suitability config ${this.configPath}: ${error.message}`);
+    }
+
+    const ext = path.extname(this.configPath).toLowerCase();
+    const config = (ext === '.yaml' || ext === '.yml') ? yaml.load(raw) : JSON.parse(raw);
+
+    const factors = {};
+    for (const [id, entry] of Object.entries(config?.factors || {})) {
+      factors[id] = this.normalizeFactor(id, entry);
+    }
+
+    const classes = (config?.classes || []).map(entry => this.normalizeClass(entry))
+      .sort((a, b) => b.min - a.min);
+    if (classes.length === 0 || classes[classes.length - 1].min !== 0) {
+      throw new Error('Suitability classes must cover scores down to 0');
+    }
+
+    const scenarios = {};
+    for (const [id, entry] of Object.entries(config?.scenarios || {})) {
+      scenarios[id] = this.normalizeScenario(id, entry, factors);
+    }
+    const defaultScenario = config?.default || Object.keys(scenarios)[0];
+    if (!scenarios[defaultScenario]) {
+      throw new Error(`Default suitability scenario "${defaultScenario}" is not defined`);
+    }
+
+    return { factors, classes, scenarios, default: defaultScenario };
+  }
+
+  normalizeFactor(id, entry) {
+    const type = entry?.type;
+    if (!FACTOR_TYPES.includes(type)) {
+      throw new Error(`Suitability factor ${id} has unknown type "${type}" (expected one of ${FACTOR_TYPES.join(', ')})`);
+    }
+
+    const factor = { id, type, description: entry.description || id };
+    if (type === 'distance') {
+      const best = Number(entry.best);
+      const worst = Number(entry.worst);
+      if (!(best >= 0) || !(worst >= 0) || best === worst) {
+        throw new Error(`Suitability factor ${id} needs different best and worst distances in metres`);
+      }
+      factor.best = best;
+      factor.worst = worst;
+      for (const field of ['sources', 'roles', 'categories']) {
+        factor[field] = Array.isArray(entry[field]) ? entry[field] : [];
+      }
+      if (!factor.sources.length && !factor.roles.length && !factor.categories.length) {
+        throw new Error(`Suitability factor ${id} needs sources, roles or categories to measure distance from`);
+      }
+    } else {
+      const preferred = entry.preferred;
+      if (!Array.isArray(preferred) || preferred.length !== 2 || !(preferred[1] >= preferred[0])) {
+        throw new Error(`Suitability factor ${id} needs a preferred [min, max] depth`);
+      }
+      if (!(Number(entry.tolerance) > 0)) {
+        throw new Error(`Suitability factor ${id} needs a tolerance in metres`);
+      }
+      factor.preferred = preferred;
+      factor.tolerance = Number(entry.tolerance);
+    }
+    return factor;
+  }
+
+  normalizeClass(entry) {
+    if (!entry?.id || !(Number(entry.min) >= 0) || Number(entry.min) > 100) {
+      throw new Error(`Suitability class needs an id and a min score from 0 to 100, got ${JSON.stringify(entry)}`);
+    }
+    return { id: entry.id, label: entry.label || entry.id, min: Number(entry.min), color: entry.color || '#7B1FA2' };
+  }
+
+  normalizeScenario(id, entry, factors) {
+    const weights = {};
+    for (const [factor, weight] of Object.entries(entry?.weights || {})) {
+      if (!factors[factor]) {
+        throw new Error(`Suitability scenario ${id} weights unknown factor "${factor}"`);
+      }
+      if (!(Number(weight) >= 0)) {
+        throw new Error(`Suitability scenario ${id} has a negative or missing weight for ${factor}`);
+      }
+      weights[factor] = Number(weight);
+    }
+    if (!Object.values(weights).some(weight => weight > 0)) {
+      throw new Error(`Suitability scenario ${id} needs at least one positive weight`);
+    }
+    return { id, description: entry.description || id, weights };
+  }
+
+  // A scenario by id; the default one when no id is given, null for an unknown id
+  getScenario(id) {
+    return this.config.scenarios[id || this.config.default] || null;
+  }
+
+  getDefaultScenario() {
+    return this.getScenario(null);
+  }
+
+  listScenarios() {
+    return Object.values(this.config.scenarios).map(scenario => ({
+      ...scenario,
+      default: scenario.id === this.config.default
+    }));
+  }
+
+  getFactors() {
+    return Object.values(this.config.factors);
+  }
+
+  getClasses() {
+    return this.config.classes;
+  }
+
+  // The class a score falls in; unscored locations count as the lowest class
+  classify(score) {
+    const classes = this.config.classes;
+    if (score === null) return classes[classes.length - 1];
+    return classes.find(entry => score >= entry.min) || classes[classes.length - 1];
+  }
+
+  // Everything the calculation needs to know to tell results for different
+  // scenarios or factor settings apart
+  describe(scenario) {
+    return {
+      scenario: scenario.id,
+      weights: scenario.weights,
+      factors: this.config.factors,
+      classes: this.config.classes
+    };
+  }
+
+  // Scores points against the constraint data in force. The returned
+  // scorer's score(point) gives { score, factors }: the weighted 0-100 score
+  // and each factor's 0-1 score. A factor that cannot be scored (no data, or
+  // no depth at the point) is left out of the weighted mean.
+  createScorer(constraintData, scenario) {
+    const factors = [];
+    for (const [id, weight] of Object.entries(scenario.weights)) {
+      if (!(weight > 0)) continue;
+      const factor = this.config.factors[id];
+      if (factor.type === 'distance') {
+        const index = new SpatialIndex(this.featuresFor(factor, constraintData));
+        if (index.size === 0) {
+          console.warn(`No data for suitability factor ${id}; it is left out of the scores`);
+          continue;
+        }
+        const limit = Math.max(factor.best, factor.worst);
+        factors.push({ id, weight, score: point => linearScore(
+          Math.min(distanceTo(index, point.geometry.coordinates, limit), limit), factor.best, factor.worst
+        ) });
+      } else {
+        const [min, max] = factor.preferred;
+        factors.push({ id, weight, score: point => {
+          const depth = point.properties?.depth;
+          if (depth === undefined || depth === null) return null;
+          const gap = depth < min ? min - depth : depth > max ? depth - max : 0;
+          return Math.max(0, 1 - gap / factor.tolerance);
+        } });
+      }
+    }
+
+    return {
+      factors: factors.map(factor => factor.id),
+      score: point => {
+        const scores = {};
+        let total = 0;
+        let weights = 0;
+        for (const factor of factors) {
+          const score = factor.score(point);
+          if (score === null) continue;
+          scores[factor.id] = Math.round(score * 100) / 100;
+          total += factor.weight * score;
+          weights += factor.weight;
+        }
+        return { score: weights > 0 ? Math.round(total / weights * 100) : null, factors: scores };
+      }
+    };
+  }
+
+  // Features of the sources and uploaded layers a distance factor measures from
+  featuresFor(factor, constraintData) {
+    const matches = (id, role, category) =>
+      factor.sources.includes(id) || factor.roles.includes(role) || Boolean(category && factor.categories.includes(category));
+
+    const features = [];
+    for (const [key, data] of Object.entries(constraintData)) {
+      const source = this.registry?.getSource(key);
+      if (!source || !data?.features || !matches(key, source.role, source.category)) continue;
+      features.push(...data.features.filter(feature => feature.geometry));
+    }
+    for (const layer of constraintData.customLayers || []) {
+      if (!layer.data?.features || !matches(layer.id, layer.role, layer.category)) continue;
+      features.push(...layer.data.features.filter(feature => feature.geometry));
+    }
+    return features;
+  }
+}
+
+SuitabilityModel.FACTOR_TYPES = FACTOR_TYPES;
+
+module.exports = SuitabilityModel;
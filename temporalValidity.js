@@ -0,0 +1,286 @@
+// Decides whether a constraint is in force during a period. A validity spec,
+// as set on a data source (`validity` in config/dataSources.json) or carried
+// by an uploaded layer, may combine:
+//
+//   validFrom / validTo       a single window, e.g. a dredging campaign
+//   schedule                  windows recurring every year, as [{ from: 'MM-DD', to: 'MM-DD' }],
+//                             e.g. a spawning closure; `to` is inclusive and may wrap past New Year
+//   fromProperty / toProperty feature properties holding a per-feature window,
+//                             e.g. the dates on each naval exercise area
+//
+// Schedules and date-only values are local dates in the study area's time zone.
+// A constraint applies to a period if it is in force at any time within it.
+
+const MONTH_DAY = /^(\d{2})-(\d{2})$/;
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DAY = 24 * 60 * 60 * 1000;
+
+class TemporalValidity {
+  constructor(options = {}) {
+    this.timeZone = options.timeZone || 'Australia/Perth';
+    this.formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+  }
+
+  static isTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Returns a list of problems with a validity spec; empty when it is usable
+  static validateSpec(spec) {
+    if (spec === undefined || spec === null) return [];
+    if (typeof spec !== 'object' || Array.isArray(spec)) return ['validity must be an object'];
+
+    const problems = [];
+    const dates = {};
+    for (const field of ['validFrom', 'validTo']) {
+      if (spec[field] === undefined || spec[field] === null || spec[field] === '') continue;
+      dates[field] = new Date(spec[field]);
+      if (Number.isNaN(dates[field].getTime())) problems.push(`${field} must be a date`);
+    }
+    if (dates.validFrom && dates.validTo && dates.validTo <= dates.validFrom) {
+      problems.push('validTo must be after validFrom');
+    }
+
+    if (spec.schedule !== undefined && spec.schedule !== null) {
+      if (!Array.isArray(spec.schedule)) {
+        problems.push('schedule must be a list of { from, to } month-day ranges');
+      } else {
+        spec.schedule.forEach((entry, i) => {
+          for (const field of ['from', 'to']) {
+            if (!TemporalValidity.parseMonthDay(entry?.[field])) {
+              problems.push(`schedule[${i}].${field} must be a month and day as MM-DD`);
+            }
+          }
+        });
+      }
+    }
+
+    for (const field of ['fromProperty', 'toProperty']) {
+      if (spec[field] !== undefined && spec[field] !== null && typeof spec[field] !== 'string') {
+        problems.push(`${field} must be a property name`);
+      }
+    }
+
+    return problems;
+  }
+
+  static parseMonthDay(value) {
+    const match = typeof value === 'string' && value.match(MONTH_DAY);
+    if (!match) return null;
+    const month = Number(match[1]);
+    const day = Number(match[2]);
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    return { month, day };
+  }
+
+  // A spec with nothing time-dependent in it
+  static isTimeless(spec) {
+    return !spec || (!spec.validFrom && !spec.validTo && !spec.schedule?.length &&
+      !spec.fromProperty && !spec.toProperty);
+  }
+
+  static hasFeatureWindows(spec) {
+    return Boolean(spec?.fromProperty || spec?.toProperty);
+  }
+
+  // Reads { at } or { from, to } from a request. Date-only values cover the
+  // whole local day, so ?at=2025-06-03 means all of the 3rd of June.
+  parsePeriod(input = {}) {
+    const { at, from, to } = input;
+
+    if (at !== undefined && at !== null && at !== '') {
+      return { from: this.parseTime(at, 'at', false), to: this.parseTime(at, 'at', true) };
+    }
+    if ((from === undefined || from === '') && (to === undefined || to === '')) {
+      return null;
+    }
+
+    const period = {
+      from: this.parseTime(from ?? to, 'from', false),
+      to: this.parseTime(to ?? from, 'to', true)
+    };
+    if (period.to < period.from) {
+      throw new Error('"to" must not be before "from"');
+    }
+    return period;
+  }
+
+  parseTime(value, name, endOfDay) {
+    const dateOnly = String(value).match(DATE_ONLY);
+    if (dateOnly) {
+      const [, year, month, day] = dateOnly.map(Number);
+      const start = this.zonedTime(year, month, day);
+      return endOfDay ? new Date(start.getTime() + DAY - 1) : start;
+    }
+
+    const time = new Date(value);
+    if (Number.isNaN(time.getTime())) {
+      throw new Error(`"${name}" must be a date or date-time`);
+    }
+    return time;
+  }
+
+  // Accepts a period, a single Date, or nothing for now
+  toPeriod(value) {
+    if (!value) {
+      const now = new Date();
+      return { from: now, to: now };
+    }
+    if (value instanceof Date) return { from: value, to: value };
+    return value;
+  }
+
+  // Whether a source or layer as a whole is in force at some point in the period
+  isActive(spec, period) {
+    if (TemporalValidity.isTimeless(spec)) return true;
+    const { from, to } = this.toPeriod(period);
+
+    if (!this.overlapsWindow(spec.validFrom, spec.validTo, from, to)) return false;
+
+    if (spec.schedule?.length) {
+      return spec.schedule.some(entry =>
+        this.occurrences(entry, from, to).some(([start, end]) => start <= to && end > from)
+      );
+    }
+    return true;
+  }
+
+  // A feature with a missing or unreadable date is treated as always in force
+  isFeatureActive(feature, spec, period) {
+    if (!TemporalValidity.hasFeatureWindows(spec)) return true;
+    const { from, to } = this.toPeriod(period);
+    const properties = feature.properties || {};
+    return this.overlapsWindow(
+      this.featureDate(properties[spec.fromProperty], false),
+      this.featureDate(properties[spec.toProperty], true),
+      from,
+      to
+    );
+  }
+
+  // The features of a layer that are in force during the period
+  filterFeatures(data, spec, period) {
+    if (!TemporalValidity.hasFeatureWindows(spec) || !data?.features) return data;
+    return { ...data, features: data.features.filter(feature => this.isFeatureActive(feature, spec, period)) };
+  }
+
+  // The first moment after `after` at which a spec (and, for feature windows,
+  // the given data) starts or stops being in force, or null if it never does
+  nextChange(spec, after, data = null) {
+    if (TemporalValidity.isTimeless(spec)) return null;
+    const time = after.getTime();
+    const candidates = [this.toDate(spec.validFrom), this.toDate(spec.validTo)];
+
+    for (const entry of spec.schedule || []) {
+      // Two years ahead always includes the next start and end of a yearly window
+      for (const [start, end] of this.occurrences(entry, after, new Date(time + 2 * 366 * DAY))) {
+        candidates.push(start, end);
+      }
+    }
+
+    if (TemporalValidity.hasFeatureWindows(spec) && data?.features) {
+      for (const feature of data.features) {
+        const properties = feature.properties || {};
+        candidates.push(
+          this.featureDate(properties[spec.fromProperty], false),
+          this.featureDate(properties[spec.toProperty], true)
+        );
+      }
+    }
+
+    let next = null;
+    for (const candidate of candidates) {
+      if (candidate && candidate.getTime() > time && (!next || candidate < next)) {
+        next = candidate;
+      }
+    }
+    return next;
+  }
+
+  overlapsWindow(validFrom, validTo, from, to) {
+    const start = this.toDate(validFrom);
+    const end = this.toDate(validTo);
+    if (start && start > to) return false;
+    if (end && end <= from) return false;
+    return true;
+  }
+
+  // The yearly windows of a schedule entry that could touch [from, to], as
+  // [start, end) pairs; a window running from 11-01 to 02-28 wraps into the next year
+  occurrences(entry, from, to) {
+    const start = TemporalValidity.parseMonthDay(entry.from);
+    const end = TemporalValidity.parseMonthDay(entry.to);
+    if (!start || !end) return [];
+
+    const wraps = end.month < start.month || (end.month === start.month && end.day < start.day);
+    const windows = [];
+    for (let year = this.localYear(from) - 1; year <= this.localYear(to); year++) {
+      windows.push([
+        this.zonedTime(year, start.month, start.day),
+        this.zonedTime(wraps ? year + 1 : year, end.month, end.day + 1)
+      ]);
+    }
+    return windows;
+  }
+
+  // Feature dates arrive as ISO strings, date-only strings or epoch milliseconds
+  // (ArcGIS date fields); a date-only end covers its whole day
+  featureDate(value, endOfDay) {
+    if (value === undefined || value === null || value === '') return null;
+    try {
+      const time = typeof value === 'number' ? new Date(value) : this.parseTime(value, 'feature date', false);
+      if (Number.isNaN(time.getTime())) return null;
+      return endOfDay && DATE_ONLY.test(String(value)) ? new Date(time.getTime() + DAY) : time;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  toDate(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  localYear(date) {
+    return this.localParts(date.getTime()).year;
+  }
+
+  // Midnight at the start of a local date in the study area's time zone
+  zonedTime(year, month, day) {
+    const guess = Date.UTC(year, month - 1, day);
+    const first = guess - this.offset(guess);
+    // Correct for a daylight saving change between the guess and the answer
+    return new Date(guess - this.offset(first));
+  }
+
+  offset(time) {
+    const parts = this.localParts(time);
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return local - Math.floor(time / 1000) * 1000;
+  }
+
+  localParts(time) {
+    const parts = {};
+    for (const part of this.formatter.formatToParts(new Date(time))) {
+      if (part.type !== 'literal') parts[part.type] = Number(part.value);
+    }
+    return parts;
+  }
+}
+
+module.exports = TemporalValidity;
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const turf = require('@turf/turf');
+const CustomLayerStore = require('../customLayerStore');
+
+async function createStore() {
+  const layerDir = await fs.mkdtemp(path.join(os.tmpdir(), 'custom-layers-'));
+  const store = new CustomLayerStore({ layerDir });
+  await store.initialize();
+  return store;
+}
+
+const DATA = turf.featureCollection([turf.point([115.7, -32])]);
+
+test('update applies a new style over the current one', async () => {
+  const store = await createStore();
+  const layer = await store.add({ name: 'Dredging', style: { color: '#00FF00' } }, DATA);
+
+  const updated = await store.update(layer.id, { style: { weight: 4 } });
+  assert.strictEqual(updated.style.color, '#00FF00');
+  assert.strictEqual(updated.style.weight, 4);
+});
+
+test('a role change keeps the style the layer set', async () => {
+  const store = await createStore();
+  const layer = await store.add({ name: 'Dredging', role: 'hard', style: { color: '#00FF00' } }, DATA);
+
+  const updated = await store.update(layer.id, { role: 'reference' });
+  assert.strictEqual(updated.style.color, '#00FF00');
+  assert.strictEqual(updated.style.dashArray, '2 4');
+});
+
+test('update rejects a style that is not allowed', async () => {
+  const store = await createStore();
+  const layer = await store.add({ name: 'Dredging' }, DATA);
+
+  await assert.rejects(store.update(layer.id, { style: { color: 'red;background:url(x)' } }), /Invalid layer style/);
+});
+
+test('notes must be a string of limited length', () => {
+  assert.deepStrictEqual(CustomLayerStore.validateMetadata({ name: 'Dredging', notes: 'Until further notice' }), []);
+  assert.deepStrictEqual(CustomLayerStore.validateMetadata({ name: 'Dredging', notes: { text: 'x' } }), ['notes must be a string']);
+  assert.strictEqual(CustomLayerStore.validateMetadata({ name: 'Dredging', notes: 'x'.repeat(2001) }).length, 1);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const turf = require('@turf/turf');
+const GeometryValidator = require('../geometryValidator');
+
+// A bow tie crossing itself at (115.5, -31.5), with a hole in its lower half
+const BOW_TIE = [[115, -32], [116, -32], [115, -31], [116, -31], [115, -32]];
+const HOLE = [[115.45, -31.9], [115.55, -31.9], [115.55, -31.8], [115.45, -31.8], [115.45, -31.9]];
+
+test('repairing a self-intersecting polygon keeps its holes', () => {
+  const validator = new GeometryValidator();
+  const { data, report } = validator.validate(turf.polygon([BOW_TIE, HOLE]));
+
+  assert.strictEqual(report.repaired, 1);
+  assert.strictEqual(report.quarantined, 0);
+  const [repaired] = data.features;
+  assert.strictEqual(turf.booleanPointInPolygon([115.5, -31.85], repaired), false);
+  assert.strictEqual(turf.booleanPointInPolygon([115.5, -31.95], repaired), true);
+  assert.strictEqual(turf.booleanPointInPolygon([115.5, -31.05], repaired), true);
+});
+
+test('a self-intersecting polygon whose hole cannot be kept is quarantined', () => {
+  const validator = new GeometryValidator();
+  const covering = [[114.9, -32.1], [116.1, -32.1], [116.1, -30.9], [114.9, -30.9], [114.9, -32.1]];
+  const { data, report } = validator.validate(turf.polygon([BOW_TIE, covering]));
+
+  assert.strictEqual(data.features.length, 0);
+  assert.strictEqual(report.quarantined, 1);
+});
+
+test('polygons with holes that do not cross themselves are left alone', () => {
+  const validator = new GeometryValidator();
+  const square = [[115, -32], [116, -32], [116, -31], [115, -31], [115, -32]];
+  const { data, report } = validator.validate(turf.polygon([square, HOLE]));
+
+  assert.strictEqual(report.repaired, 0);
+  assert.deepStrictEqual(data.features[0].geometry.coordinates, [square, HOLE]);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const turf = require('@turf/turf');
+const SourceRegistry = require('../sourceRegistry');
+const SuitabilityModel = require('../suitabilityModel');
+const ZoneCalculator = require('../zoneCalculator');
+const ZoneCalculationRunner = require('../zoneCalculationRunner');
+
+// A suitability config of its own: other classes, and a scenario scoring
+// distance from harbours only
+async function writeSuitabilityConfig(dir) {
+  const config = JSON.parse(await fs.readFile(path.join(__dirname, '..', 'config', 'suitability.json'), 'utf8'));
+  config.classes = [
+    { id: 'near', label: 'Near a harbour', min: 50 },
+    { id: 'far', label: 'Far from a harbour', min: 0 }
+  ];
+  config.scenarios.harbour = { description: 'Close to a harbour', weights: { portDistance: 1 } };
+  const configPath = path.join(dir, 'suitability.json');
+  await fs.writeFile(configPath, JSON.stringify(config));
+  return configPath;
+}
+
+// The zones without what changes from run to run
+function zonesOf(result) {
+  return result.features.map(({ geometry, properties: { calculatedAt, ...properties } }) => ({ geometry, properties }));
+}
+
+test('a worker calculates with the same config and scenario as the server', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zone-runner-'));
+  const registry = new SourceRegistry();
+  const suitability = new SuitabilityModel({ registry, configPath: await writeSuitabilityConfig(dir) });
+  const calculatorOptions = {
+    zonesDir: path.join(dir, 'zones'),
+    cacheDir: path.join(dir, 'cache'),
+    gridResolution: 0.01,
+    method: 'grid',
+    tileWorkers: 1
+  };
+  const zoneCalculator = new ZoneCalculator({ ...calculatorOptions, registry, suitability });
+  await zoneCalculator.initialize();
+
+  const constraintData = {
+    studyArea: turf.bboxPolygon([115.6, -32.2, 115.7, -32.1]),
+    osmHarbours: turf.featureCollection([turf.point([115.6, -32.2])])
+  };
+  const options = { scenario: suitability.getScenario('harbour'), method: 'grid', forceRecalculate: true };
+
+  const inProcess = await zoneCalculator.calculateRecommendedZones(constraintData, options);
+  const runner = new ZoneCalculationRunner({
+    calculatorOptions: { ...calculatorOptions, ...ZoneCalculationRunner.configOf(zoneCalculator) }
+  });
+  const inWorker = await runner.run(constraintData, options);
+
+  assert.deepStrictEqual(inProcess.features.map(zone => zone.properties.suitability).sort(), ['far', 'near']);
+  assert.deepStrictEqual(zonesOf(inWorker), zonesOf(inProcess));
+  assert.deepStrictEqual(inWorker.metadata.suitability, inProcess.metadata.suitability);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const turf = require('@turf/turf');
+const ZoneCalculator = require('../zoneCalculator');
+
+async function createCalculator(options = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zone-calculator-'));
+  const zoneCalculator = new ZoneCalculator({
+    zonesDir: path.join(dir, 'zones'),
+    cacheDir: path.join(dir, 'cache'),
+    gridResolution: 0.01,
+    tileWorkers: 1,
+    ...options
+  });
+  await zoneCalculator.initialize();
+  return zoneCalculator;
+}
+
+const CONSTRAINT_DATA = { studyArea: turf.bboxPolygon([115.6, -32.2, 115.7, -32.1]) };
+
+test('zones asked for by the configured method become the latest zones', async () => {
+  const zoneCalculator = await createCalculator({ method: 'grid' });
+  await zoneCalculator.calculateRecommendedZones(CONSTRAINT_DATA, { method: 'grid', forceRecalculate: true });
+
+  assert.strictEqual((await fs.readdir(zoneCalculator.zonesDir)).length, 1);
+});
+
+test('zones by another method do not replace the latest zones', async () => {
+  const zoneCalculator = await createCalculator({ method: 'grid' });
+  await zoneCalculator.calculateRecommendedZones(CONSTRAINT_DATA, { method: 'overlay', forceRecalculate: true });
+
+  assert.deepStrictEqual(await fs.readdir(zoneCalculator.zonesDir), []);
+});
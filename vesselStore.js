@@ -0,0 +1,159 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Dimensions in metres
+const DIMENSIONS = ['loa', 'beam', 'draught', 'swingRadius', 'underKeelClearance'];
+const REQUIRED = ['loa', 'beam', 'draught'];
+
+// Anchor chain paid out, as a multiple of the water depth, for estimating
+// the swing circle when a profile does not give one
+const CHAIN_SCOPE = 4;
+
+// Profiles available before any are added, from harbour tugs to Capesize bulkers
+const DEFAULT_VESSELS = [
+  { id: 'harbour-tug', name: 'Harbour tug', type: 'tug', loa: 32, beam: 12, draught: 5.5 },
+  { id: 'offshore-supply', name: 'Offshore supply vessel', type: 'offshore', loa: 85, beam: 20, draught: 6.5 },
+  { id: 'handysize', name: 'Handysize bulk carrier', type: 'bulk carrier', loa: 180, beam: 30, draught: 10.5 },
+  { id: 'panamax', name: 'Panamax bulk carrier', type: 'bulk carrier', loa: 225, beam: 32.3, draught: 14.2 },
+  { id: 'capesize', name: 'Capesize bulk carrier', type: 'bulk carrier', loa: 292, beam: 45, draught: 18.2 }
+];
+
+// Vessel profiles that zone calculation and analysis can be run for. Kept in
+// a single JSON file next to the downloaded sources.
+class VesselStore {
+  constructor(options = {}) {
+    this.storePath = options.storePath || path.join(__dirname, 'gis_data', 'vessels.json');
+    this.vessels = {};
+  }
+
+  async initialize() {
+    try {
+      this.vessels = JSON.parse(await fs.readFile(this.storePath, 'utf8'));
+    } catch (error) {
+      // First run: start from the default profiles
+      this.vessels = {};
+      const now = new Date().toISOString();
+      for (const vessel of DEFAULT_VESSELS) {
+        this.vessels[vessel.id] = { ...vessel, swingRadius: null, underKeelClearance: null, createdAt: now };
+      }
+      await this.save();
+    }
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+    await fs.writeFile(this.storePath, JSON.stringify(this.vessels, null, 2));
+  }
+
+  // Returns a list of problems with a profile; empty when it is usable.
+  // `partial` allows leaving out required fields, for updates.
+  static validate(profile = {}, partial = false) {
+    const problems = [];
+
+    if (!partial || profile.name !== undefined) {
+      if (typeof profile.name !== 'string' || !profile.name.trim()) problems.push('name is required');
+    }
+    if (profile.type !== undefined && profile.type !== null && typeof profile.type !== 'string') {
+      problems.push('type must be a string');
+    }
+    for (const field of DIMENSIONS) {
+      const value = profile[field];
+      if (value === undefined || value === null || value === '') {
+        // An update may leave a required dimension out, but not clear it
+        if (REQUIRED.includes(field) && (!partial || value !== undefined)) problems.push(`${field} is required`);
+        continue;
+      }
+      if (!(Number(value) > 0) && !(field === 'underKeelClearance' && Number(value) === 0)) {
+        problems.push(`${field} must be a positive number of metres`);
+      }
+    }
+
+    return problems;
+  }
+
+  // A profile with the clearances it needs filled in: the minimum water depth
+  // (draught plus under-keel clearance, by default 10% of the draught and at
+  // least 1 m) and the swing circle radius at anchor (by default the LOA plus
+  // the chain paid out in that depth)
+  static resolve(profile) {
+    const vessel = { ...profile, ...VesselStore.dimensions(profile) };
+
+    if (vessel.underKeelClearance === null) {
+      vessel.underKeelClearance = Math.round(Math.max(1, vessel.draught * 0.1) * 10) / 10;
+    }
+    vessel.minDepth = Math.round((vessel.draught + vessel.underKeelClearance) * 10) / 10;
+    if (vessel.swingRadius === null) {
+      vessel.swingRadius = Math.round(vessel.loa + CHAIN_SCOPE * vessel.minDepth);
+    }
+    return vessel;
+  }
+
+  // Dimensions as numbers, null where not given
+  static dimensions(profile) {
+    const dimensions = {};
+    for (const field of DIMENSIONS) {
+      const value = profile[field];
+      dimensions[field] = value === undefined || value === null || value === '' ? null : Number(value);
+    }
+    return dimensions;
+  }
+
+  list() {
+    return Object.values(this.vessels).sort((a, b) => a.loa - b.loa);
+  }
+
+  get(id) {
+    return this.vessels[id] || null;
+  }
+
+  async add(profile) {
+    const id = this.generateId(profile.name);
+    const vessel = {
+      id,
+      name: profile.name.trim(),
+      type: profile.type || null,
+      ...VesselStore.dimensions(profile),
+      createdAt: new Date().toISOString()
+    };
+
+    this.vessels[id] = vessel;
+    await this.save();
+    return vessel;
+  }
+
+  async update(id, profile) {
+    const vessel = this.get(id);
+    if (!vessel) return null;
+
+    const updated = { ...vessel, updatedAt: new Date().toISOString() };
+    if (profile.name) updated.name = profile.name.trim();
+    if (profile.type !== undefined) updated.type = profile.type || null;
+    const dimensions = VesselStore.dimensions(profile);
+    for (const field of DIMENSIONS) {
+      if (profile[field] !== undefined) updated[field] = dimensions[field];
+    }
+
+    this.vessels[id] = updated;
+    await this.save();
+    return updated;
+  }
+
+  async remove(id) {
+    const vessel = this.get(id);
+    if (!vessel) return null;
+
+    delete this.vessels[id];
+    await this.save();
+    return vessel;
+  }
+
+  generateId(name) {
+    const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+    return `vessel-${slug || 'profile'}-${Date.now().toString(36)}`;
+  }
+}
+
+VesselStore.DIMENSIONS = DIMENSIONS;
+VesselStore.DEFAULT_VESSELS = DEFAULT_VESSELS;
+
+module.exports = VesselStore;
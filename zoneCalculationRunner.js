@@ -0,0 +1,85 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_PATH = path.join(__dirname, 'zoneCalculationWorker.js');
+
+// Runs zone calculations in a worker thread, so a long calculation does not
+// hold up the server's event loop and can really be stopped: cancel() and
+// the hard timeout terminate the thread, and the tile workers it started go
+// with it. One calculation runs at a time. A stopped calculation rejects
+// with an error marked `cancelled` or `timedOut`.
+class ZoneCalculationRunner {
+  constructor(options = {}) {
+    // Passed to the ZoneCalculator in the worker, so must be plain data.
+    // registryConfig and suitabilityConfig are the options its SourceRegistry
+    // and SuitabilityModel are built from (see configOf).
+    this.calculatorOptions = options.calculatorOptions || {};
+    this.timeout = options.timeout || 10 * 60 * 1000;
+    this.current = null;
+  }
+
+  get running() {
+    return this.current !== null;
+  }
+
+  // Calculates zones in a worker; options are those of
+  // ZoneCalculator.calculateRecommendedZones, without the progressCallback
+  run(constraintData, options = {}, progressCallback = () => {}) {
+    if (this.current) {
+      return Promise.reject(new Error('A zone calculation is already running'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(WORKER_PATH, {
+        workerData: { task: 'calculate', calculatorOptions: this.calculatorOptions, constraintData, options }
+      });
+      const current = { worker, settled: false };
+      this.current = current;
+
+      current.finish = (error, result) => {
+        if (current.settled) return;
+        current.settled = true;
+        clearTimeout(current.timer);
+        if (this.current === current) this.current = null;
+        if (!error) {
+          resolve(result);
+          return;
+        }
+        // Wait for the thread to be gone, so nothing it was writing races the next run
+        worker.terminate().then(() => reject(error), () => reject(error));
+      };
+
+      current.timer = setTimeout(() => {
+        const minutes = Math.round(this.timeout / 60000 * 100) / 100;
+        current.finish(Object.assign(new Error(`Calculation timed out after ${minutes} minutes`), { timedOut: true }));
+      }, this.timeout);
+
+      worker.on('message', message => {
+        if (message.type === 'progress') progressCallback(message.progress, message.message);
+        if (message.type === 'result') current.finish(null, message.result);
+        if (message.type === 'error') current.finish(new Error(message.message));
+      });
+      worker.on('error', error => current.finish(error));
+      worker.on('exit', code => current.finish(new Error(`Zone calculation worker stopped with exit code ${code}`)));
+    });
+  }
+
+  // Stops the running calculation; false when none is running
+  cancel(reason = 'Calculation cancelled') {
+    if (!this.current) return false;
+    this.current.finish(Object.assign(new Error(reason), { cancelled: true }));
+    return true;
+  }
+}
+
+// Worker options for the source registry and suitability model a
+// ZoneCalculator was built with, so the worker loads the same config
+ZoneCalculationRunner.configOf = zoneCalculator => ({
+  registryConfig: {
+    configPath: zoneCalculator.registry.configPath,
+    bufferRulesPath: zoneCalculator.registry.bufferRules.rulesPath
+  },
+  suitabilityConfig: { configPath: zoneCalculator.suitability.configPath }
+});
+
+module.exports = ZoneCalculationRunner;
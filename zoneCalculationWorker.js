@@ -0,0 +1,39 @@
+const { parentPort, workerData } = require('worker_threads');
+const ZoneCalculator = require('./zoneCalculator');
+const SourceRegistry = require('./sourceRegistry');
+const SuitabilityModel = require('./suitabilityModel');
+
+// Entry point of the worker threads zone calculations run in. workerData.task
+// is 'calculate' for a whole calculation (started by ZoneCalculationRunner)
+// or 'sampleTile' for one tile of the candidate grid (started by the
+// calculation itself). Progress, the result or the error are posted back to
+// the parent as { type: 'progress' | 'result' | 'error' } messages.
+async function run() {
+  const { task, calculatorOptions = {} } = workerData;
+  const zoneCalculator = createCalculator(calculatorOptions);
+
+  if (task === 'sampleTile') {
+    return zoneCalculator.sampleTile(workerData.tile);
+  }
+  if (task === 'calculate') {
+    await zoneCalculator.initialize();
+    return zoneCalculator.calculateRecommendedZones(workerData.constraintData, {
+      ...workerData.options,
+      progressCallback: (progress, message) => parentPort.postMessage({ type: 'progress', progress, message })
+    });
+  }
+  throw new Error(`Unknown zone calculation task "${task}"`);
+}
+
+// The calculator the parent described: its settings, and the source
+// registry and suitability model loaded from the same config files
+// (registryConfig and suitabilityConfig, see ZoneCalculationRunner)
+function createCalculator({ registryConfig, suitabilityConfig, ...options }) {
+  const registry = new SourceRegistry(registryConfig);
+  const suitability = new SuitabilityModel({ ...suitabilityConfig, registry });
+  return new ZoneCalculator({ ...options, registry, suitability });
+}
+
+run()
+  .then(result => parentPort.postMessage({ type: 'result', result }))
+  .catch(error => parentPort.postMessage({ type: 'error', message: error.message }));
@@ -1,14 +1,38 @@
 const fs = require('fs').promises;
 const path = require('path');
+const os = require('os');
+const { Worker } = require('worker_threads');
 const turf = require('@turf/turf');
 const crypto = require('crypto');
+const SourceRegistry = require('./sourceRegistry');
+const TemporalValidity = require('./temporalValidity');
+const DepthSurface = require('./depthSurface');
+const SuitabilityModel = require('./suitabilityModel');
+const ExclusionRecorder = require('./exclusionRecorder');
+const SpatialIndex = require('./spatialIndex');
+
+// How zone boundaries are drawn: `grid` merges buffered candidate points into
+// zones, `overlay` cuts the water mask exactly by the buffered constraints
+const METHODS = {
+  grid: { label: 'Grid sampling', description: 'Candidate points buffered and merged into zones' },
+  overlay: { label: 'Exact overlay', description: 'The water mask minus every buffered constraint, with exact edges' }
+};
 
 class ZoneCalculator {
   constructor(options = {}) {
     this.zonesDir = options.zonesDir || path.join(__dirname, 'calculated_zones');
     this.cacheDir = options.cacheDir || path.join(__dirname, 'zone_cache');
     this.gridResolution = options.gridResolution || 0.01; // ~1km grid (increased for faster calculation)
-    this.bufferSize = options.bufferSize || 0.002; // ~200m buffer (increased for better coverage)
+    this.registry = options.registry || new SourceRegistry();
+    this.validity = options.validity || new TemporalValidity({ timeZone: this.registry.getStudyArea().timeZone });
+    this.depthRange = options.depthRange || this.registry.getDepthRange();
+    this.suitability = options.suitability || new SuitabilityModel({ registry: this.registry });
+    this.method = options.method || process.env.ZONE_METHOD || 'grid';
+    // Worker threads the candidate grid is split across; 1 samples it in-line
+    this.tileWorkers = Number(options.tileWorkers || process.env.ZONE_TILE_WORKERS) || Math.min(os.cpus().length, 4);
+    if (!METHODS[this.method]) {
+      throw new Error(`Unknown zone method "${this.method}" (expected one of ${Object.keys(METHODS).join(', ')})`);
+    }
   }
 
   async initialize() {
@@ -17,26 +41,35 @@ class ZoneCalculator {
     console.log('Zone calculator initialized');
   }
 
-  async calculateRecommendedZones(constraintData, options = {}) {
+  // options.period ({ from, to }) calculates zones for a planned cleaning
+  // period rather than now; only constraints in force during it are applied.
+  // options.depthRange ({ min, max, excludeUnknown }) overrides the configured depths.
+  // options.vessel (a resolved vessel profile) calculates zones for that ship:
+  // deep enough for its draught, with its swing circle clear of every hard
+  // constraint and of land.
+  // options.scenario (from config/suitability.json) weights the suitability
+  // factors the zones are graded by; the default scenario otherwise.
+  // options.method ('grid' or 'overlay') overrides the configured zone method.
+  async calculateRecommendedZones(allConstraintData, options = {}) {
     const startTime = Date.now();
     const progressCallback = options.progressCallback || (() => {});
     
-    // Add timeout to prevent hanging
-    const timeout = setTimeout(() => {
-      throw new Error('Zone calculation timed out after 5 minutes');
-    }, 5 * 60 * 1000); // 5 minutes timeout
-    
     try {
-      // Generate a hash of the input constraints to check cache
-      const constraintHash = this.generateConstraintHash(constraintData);
-      const cacheKey = `zones_${constraintHash}_${this.gridResolution}`;
+      // Hash the constraints in force to check the cache, so periods with the
+      // same constraints share a calculation
+      const sourceVersions = options.sourceVersions || null;
+      const { cacheKey, period, selection } = this.getCacheKey(allConstraintData, options);
+      const constraintData = selection.data;
+      const depthRange = this.getDepthRange(options);
+      const vessel = options.vessel || null;
+      const scenario = options.scenario || this.suitability.getDefaultScenario();
+      const method = this.getMethod(options);
       
       // Check if we have cached results
       const cachedResult = await this.getCachedResult(cacheKey);
       if (cachedResult && !options.forceRecalculate) {
         console.log('Using cached zone calculation');
         progressCallback(100, 'Using cached results');
-        clearTimeout(timeout);
         return cachedResult;
       }
 
@@ -55,90 +88,281 @@ class ZoneCalculator {
       
       progressCallback(20, 'Processing constraints');
       
-      // Collect all constraint features
-      const constraints = await this.collectConstraints(constraintData);
+      // Collect all constraint features, pushed out by the vessel's swing radius
+      const swingRadius = vessel ? vessel.swingRadius : 0;
+      const constraints = await this.collectConstraints(constraintData, swingRadius);
+      if (swingRadius > 0) {
+        constraints.push(...this.tagConstraints(this.bufferConstraints('land', landFeatures, swingRadius), 'land', 'Land', swingRadius));
+      }
       
       progressCallback(30, 'Building spatial index');
       
-      // Create spatial index for faster lookups
-      const spatialIndex = this.buildSpatialIndex(constraints);
+      // R-tree over the constraints for faster lookups
+      const spatialIndex = new SpatialIndex(constraints);
       
-      progressCallback(40, 'Generating candidate points');
+      progressCallback(35, 'Building depth surface');
       
-      // Generate grid of test points using adaptive resolution
-      const candidatePoints = await this.generateAdaptiveGrid(bbox, waterMask, spatialIndex, progressCallback);
+      // Candidate points outside the depth range are dropped like constrained ones
+      const depthFilter = this.createDepthFilter(constraintData, depthRange);
       
-      progressCallback(70, 'Creating zones from valid points');
+      // The overlay is cut before any sampling, so it does not depend on the
+      // grid finding points; the points only feed the zones' summaries
+      let feasible = null;
+      if (method === 'overlay') {
+        progressCallback(38, 'Overlaying constraints on the water mask');
+        feasible = await this.createOverlayArea(studyArea, waterMask, constraints, depthFilter);
+        if (!feasible) {
+          throw new Error('No water is left outside the constraints');
+        }
+      }
       
-      // Create zones from valid points
-      const zones = await this.createZonesFromPoints(candidatePoints, progressCallback);
+      progressCallback(40, 'Generating candidate points');
       
-      progressCallback(85, 'Optimizing zone boundaries');
+      // Generate grid of test points using adaptive resolution, keeping why
+      // each rejected point was rejected
+      const exclusions = new ExclusionRecorder();
+      const candidatePoints = await this.sampleCandidates(bbox, waterMask, constraints, spatialIndex, progressCallback, depthFilter, exclusions);
       
-      // Optimize and clean zones
-      const optimizedZones = await this.optimizeZones(zones, waterMask, landFeatures);
+      progressCallback(67, 'Scoring candidate points');
+      
+      // Grade the points that passed every hard constraint by the scenario's weighted factors
+      const scorer = this.suitability.createScorer(constraintData, scenario);
+      for (const point of candidatePoints) {
+        const { score, factors } = scorer.score(point);
+        point.properties.score = score;
+        point.properties.factors = factors;
+        point.properties.suitability = this.suitability.classify(score).id;
+      }
+      
+      const gradedZones = [];
+      if (method === 'overlay') {
+        // Zones with no candidate points inside are summarized at a point within them
+        progressCallback(80, 'Cutting zones by suitability class');
+        for (const { suitabilityClass, region } of this.classRegions(bbox, feasible, scorer, depthFilter)) {
+          const points = candidatePoints.filter(point => point.properties.suitability === suitabilityClass.id);
+          for (const zone of this.clipZones(feasible, region)) {
+            gradedZones.push({ zone, suitabilityClass, points });
+          }
+        }
+      } else {
+        if (candidatePoints.length === 0) {
+          throw new Error('No valid points found for zone creation');
+        }
+        progressCallback(70, 'Creating zones from valid points');
+        
+        // Zones are built and optimized separately for each suitability class
+        for (const suitabilityClass of this.suitability.getClasses()) {
+          const points = candidatePoints.filter(point => point.properties.suitability === suitabilityClass.id);
+          if (points.length === 0) continue;
+          
+          const zones = await this.createZonesFromPoints(points, progressCallback);
+          progressCallback(85, `Optimizing ${suitabilityClass.label.toLowerCase()} zone boundaries`);
+          for (const zone of await this.optimizeZones(zones, waterMask, landFeatures)) {
+            gradedZones.push({ zone, suitabilityClass, points });
+          }
+        }
+      }
       
       progressCallback(95, 'Finalizing results');
       
       // Create result
+      const features = gradedZones.map(({ zone, suitabilityClass, points }, index) => ({
+        type: 'Feature',
+        properties: {
+          id: `zone_${index + 1}`,
+          type: 'Potential Cleaning Zone',
+          area: turf.area(zone),
+          perimeter: turf.length(zone, { units: 'kilometers' }),
+          description: `Area suitable for in-water hull cleaning (${suitabilityClass.label.toLowerCase()})`,
+          calculatedAt: new Date().toISOString(),
+          method: method === 'overlay' ? 'exact-overlay' : 'optimized-grid',
+          gridResolution: this.gridResolution,
+          suitability: suitabilityClass.id,
+          suitabilityLabel: suitabilityClass.label,
+          candidatePoints: this.countPointsInZone(zone, points),
+          ...this.summarizeZoneSuitability(zone, points, scorer, depthFilter),
+          ...this.summarizeZoneDepth(zone, candidatePoints, depthFilter)
+        },
+        geometry: zone.geometry
+      }));
       const result = {
         type: 'FeatureCollection',
-        features: optimizedZones.map((zone, index) => ({
-          type: 'Feature',
-          properties: {
-            id: `zone_${index + 1}`,
-            type: 'Potential Cleaning Zone',
-            area: turf.area(zone),
-            perimeter: turf.length(zone, { units: 'kilometers' }),
-            description: 'Area suitable for in-water hull cleaning',
-            calculatedAt: new Date().toISOString(),
-            method: 'optimized-grid',
-            gridResolution: this.gridResolution
-          },
-          geometry: zone.geometry
-        })),
+        features,
         metadata: {
+          method,
           calculationTime: Date.now() - startTime,
           totalCandidatePoints: candidatePoints.length,
+          // Points lost to slivers or clipped off by land are the difference
+          candidatePointsInZones: features.reduce((sum, feature) => sum + feature.properties.candidatePoints, 0),
           constraintsProcessed: constraints.length,
-          gridResolution: this.gridResolution
+          gridResolution: this.gridResolution,
+          sourceSnapshots: sourceVersions,
+          customLayers: (constraintData.customLayers || []).map(layer => layer.id),
+          period: { from: period.from.toISOString(), to: period.to.toISOString() },
+          inactiveConstraints: selection.inactive,
+          // When a constraint next comes into or out of force; the zones are stale after it
+          validUntil: selection.validUntil,
+          depth: depthFilter
+            ? {
+              sources: depthFilter.sources,
+              range: depthRange,
+              vertices: depthFilter.surface.vertexCount,
+              triangles: depthFilter.surface.triangles.length,
+              excludedPoints: depthFilter.excluded,
+              unknownPoints: depthFilter.unknown
+            }
+            : { range: depthRange, status: 'No bathymetry available; depth was not checked' },
+          exclusions: exclusions.summarize(),
+          suitability: {
+            scenario: scenario.id,
+            description: scenario.description,
+            weights: scenario.weights,
+            factors: scorer.factors,
+            classes: this.suitability.getClasses().map(suitabilityClass => ({
+              ...suitabilityClass,
+              points: candidatePoints.filter(point => point.properties.suitability === suitabilityClass.id).length
+            }))
+          },
+          vessel
         }
       };
 
-      // Cache the result
+      // Cache the result, with the exclusion reasons alongside
       await this.cacheResult(cacheKey, result);
+      await this.cacheExclusions(cacheKey, exclusions);
       
-      // Save to file
-      const filename = `zones_${new Date().toISOString().split('T')[0]}.json`;
-      await fs.writeFile(
-        path.join(this.zonesDir, filename),
-        JSON.stringify(result, null, 2)
-      );
+      // Only zones for now, for no particular vessel, in the default scenario
+      // and by the configured method become the latest zones
+      if (!options.period && !vessel && !options.scenario && method === this.method) {
+        const filename = `zones_${new Date().toISOString().split('T')[0]}.json`;
+        await fs.writeFile(
+          path.join(this.zonesDir, filename),
+          JSON.stringify(result, null, 2)
+        );
+      }
       
       progressCallback(100, 'Calculation complete');
       console.log(`Zone calculation completed in ${Date.now() - startTime}ms`);
       
-      clearTimeout(timeout);
       return result;
     } catch (error) {
       console.error('Zone calculation failed:', error);
-      clearTimeout(timeout);
       throw error;
     }
   }
 
-  async generateAdaptiveGrid(bbox, waterMask, spatialIndex, progressCallback) {
+  // Candidate points over the study area. With more than one tile worker the
+  // coarse grid's columns are split into contiguous tiles, each sampled in its
+  // own worker thread, and the tiles' points, exclusions and depth counts are
+  // merged back in column order, so the result is the same as sampling in
+  // one pass.
+  async sampleCandidates(bbox, waterMask, constraints, spatialIndex, progressCallback, depthFilter = null, exclusions = null) {
+    const columns = this.coarseColumns(bbox);
+    const tileCount = Math.min(this.tileWorkers, columns);
+    if (tileCount <= 1) {
+      return this.generateAdaptiveGrid(bbox, waterMask, spatialIndex, progressCallback, depthFilter, exclusions);
+    }
+
+    const tile = {
+      bbox,
+      waterMask,
+      constraints,
+      depth: depthFilter
+        ? {
+          triangles: depthFilter.surface.triangles,
+          cellSize: depthFilter.surface.cellSize,
+          min: depthFilter.min,
+          max: depthFilter.max,
+          excludeUnknown: depthFilter.excludeUnknown
+        }
+        : null
+    };
+    let sampled = 0;
+    const results = await Promise.all(Array.from({ length: tileCount }, (_, i) => {
+      const range = [Math.round(i * columns / tileCount), Math.round((i + 1) * columns / tileCount)];
+      return this.runTile({ ...tile, columns: range }).then(result => {
+        sampled++;
+        progressCallback(40 + Math.floor(sampled / tileCount * 25), `Sampled ${sampled} of ${tileCount} grid tiles`);
+        return result;
+      });
+    }));
+
+    const points = [];
+    for (const result of results) {
+      points.push(...result.points);
+      if (exclusions) exclusions.merge(result.exclusions);
+      if (depthFilter) {
+        depthFilter.excluded += result.depth.excluded;
+        depthFilter.unknown += result.depth.unknown;
+      }
+    }
+    return points;
+  }
+
+  // Samples one tile in a worker thread. Terminating the thread running the
+  // calculation terminates its tile workers too.
+  runTile(tile) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(path.join(__dirname, 'zoneCalculationWorker.js'), {
+        workerData: { task: 'sampleTile', calculatorOptions: { gridResolution: this.gridResolution }, tile }
+      });
+      worker.on('message', message => {
+        if (message.type === 'result') resolve(message.result);
+        if (message.type === 'error') reject(new Error(`Grid tile failed: ${message.message}`));
+      });
+      worker.on('error', reject);
+      worker.on('exit', code => {
+        if (code !== 0) reject(new Error(`Grid tile worker stopped with exit code ${code}`));
+      });
+    });
+  }
+
+  // The grid of one tile (see sampleCandidates), in the tile's worker
+  sampleTile(tile) {
+    const depthFilter = tile.depth
+      ? {
+        surface: new DepthSurface({ cellSize: tile.depth.cellSize }).load(tile.depth.triangles),
+        min: tile.depth.min,
+        max: tile.depth.max,
+        excludeUnknown: tile.depth.excludeUnknown,
+        excluded: 0,
+        unknown: 0
+      }
+      : null;
+    const exclusions = new ExclusionRecorder();
+    const points = this.generateAdaptiveGrid(
+      tile.bbox, tile.waterMask, new SpatialIndex(tile.constraints), () => {}, depthFilter, exclusions, tile.columns
+    );
+    return {
+      points,
+      exclusions: exclusions.toJSON(),
+      depth: { excluded: depthFilter?.excluded || 0, unknown: depthFilter?.unknown || 0 }
+    };
+  }
+
+  // Columns of the coarse grid generateAdaptiveGrid samples first
+  coarseColumns(bbox) {
+    return Math.floor((bbox[2] - bbox[0]) / (this.gridResolution * 2) + 1e-9) + 1;
+  }
+
+  // Samples a coarse grid at twice the resolution and the fine grid around
+  // every coarse point that passes. `columns` ([from, to)) limits it to some
+  // of the coarse columns, for one tile.
+  generateAdaptiveGrid(bbox, waterMask, spatialIndex, progressCallback, depthFilter = null, exclusions = null, columns = null) {
     const points = [];
     const [minX, minY, maxX, maxY] = bbox;
     
     // Use coarser grid initially
     const coarseResolution = this.gridResolution * 2;
+    const [fromColumn, toColumn] = columns || [0, this.coarseColumns(bbox)];
+    const rows = Math.floor((maxY - minY) / coarseResolution + 1e-9) + 1;
     let processedCells = 0;
-    const totalCells = Math.ceil((maxX - minX) / coarseResolution) * 
-                      Math.ceil((maxY - minY) / coarseResolution);
+    const totalCells = (toColumn - fromColumn) * rows;
     
-    for (let x = minX; x <= maxX; x += coarseResolution) {
-      for (let y = minY; y <= maxY; y += coarseResolution) {
+    for (let column = fromColumn; column < toColumn; column++) {
+      const x = minX + column * coarseResolution;
+      for (let row = 0; row < rows; row++) {
+        const y = minY + row * coarseResolution;
         processedCells++;
         
         if (processedCells % 100 === 0) {
@@ -148,23 +372,7 @@ class ZoneCalculator {
         
         const point = turf.point([x, y]);
         
-        // Quick check if point is in water
-        if (!turf.booleanPointInPolygon(point, waterMask)) {
-          continue;
-        }
-        
-        // Check if point is in any constraint using spatial index
-        const nearbyConstraints = this.queryNearbyFeatures(spatialIndex, point, coarseResolution);
-        let inConstraint = false;
-        
-        for (const constraint of nearbyConstraints) {
-          if (turf.booleanPointInPolygon(point, constraint)) {
-            inConstraint = true;
-            break;
-          }
-        }
-        
-        if (!inConstraint) {
+        if (this.acceptPoint(point, waterMask, spatialIndex, coarseResolution, depthFilter, exclusions)) {
           points.push(point);
           
           // Add finer resolution around valid points
@@ -175,7 +383,9 @@ class ZoneCalculator {
               x + coarseResolution/2,
               y + coarseResolution/2,
               waterMask,
-              spatialIndex
+              spatialIndex,
+              depthFilter,
+              exclusions
             );
             points.push(...finePoints);
           }
@@ -186,28 +396,14 @@ class ZoneCalculator {
     return points;
   }
 
-  generateFineGrid(minX, minY, maxX, maxY, waterMask, spatialIndex) {
+  generateFineGrid(minX, minY, maxX, maxY, waterMask, spatialIndex, depthFilter = null, exclusions = null) {
     const finePoints = [];
     
     for (let x = minX; x <= maxX; x += this.gridResolution) {
       for (let y = minY; y <= maxY; y += this.gridResolution) {
         const point = turf.point([x, y]);
         
-        if (!turf.booleanPointInPolygon(point, waterMask)) {
-          continue;
-        }
-        
-        const nearbyConstraints = this.queryNearbyFeatures(spatialIndex, point, this.gridResolution);
-        let inConstraint = false;
-        
-        for (const constraint of nearbyConstraints) {
-          if (turf.booleanPointInPolygon(point, constraint)) {
-            inConstraint = true;
-            break;
-          }
-        }
-        
-        if (!inConstraint) {
+        if (this.acceptPoint(point, waterMask, spatialIndex, this.gridResolution, depthFilter, exclusions)) {
           finePoints.push(point);
         }
       }
@@ -216,102 +412,290 @@ class ZoneCalculator {
     return finePoints;
   }
 
+  // Whether a grid point is in water, outside every constraint and within the
+  // depth range. With a recorder, a rejected point's reasons are recorded:
+  // every constraint and set-back it lies in, not just the first, and the
+  // depth if that is out of range too.
+  acceptPoint(point, waterMask, spatialIndex, cellSize, depthFilter = null, exclusions = null) {
+    const coordinates = point.geometry.coordinates;
+    
+    // Quick check if point is in water
+    if (!turf.booleanPointInPolygon(point, waterMask)) {
+      if (exclusions) exclusions.add(coordinates, cellSize, [{ type: 'land', key: 'land', name: 'Land' }]);
+      return false;
+    }
+    
+    // Check if point is in any constraint using spatial index
+    const reasons = [];
+    const [lng, lat] = coordinates;
+    for (const constraint of spatialIndex.search([lng, lat, lng, lat])) {
+      if (!turf.booleanPointInPolygon(point, constraint)) continue;
+      if (!exclusions) return false;
+      reasons.push(this.constraintReason(point, constraint));
+    }
+    
+    if (reasons.length === 0) {
+      if (this.meetsDepth(point, depthFilter)) return true;
+      if (exclusions) exclusions.add(coordinates, cellSize, [this.depthReason(depthFilter)], point.properties.depth ?? null);
+      return false;
+    }
+    
+    // Already excluded; note the depth without counting it in the depth statistics
+    const depth = depthFilter ? depthFilter.surface.depthAt(coordinates) : null;
+    if (depth !== null && ((depthFilter.min !== null && depth < depthFilter.min) ||
+        (depthFilter.max !== null && depth > depthFilter.max))) {
+      reasons.push(this.depthReason(depthFilter));
+    }
+    exclusions.add(coordinates, cellSize, reasons, depth);
+    return false;
+  }
+
+  // A point inside a buffered constraint but outside the feature itself is
+  // only in its set-back
+  constraintReason(point, constraint) {
+    const source = constraint.exclusion || { key: 'unknown', name: 'Constraint', buffer: 0 };
+    const properties = constraint.properties || {};
+    const inSetback = source.buffer > 0 && constraint.unbuffered &&
+      !turf.booleanPointInPolygon(point, constraint.unbuffered);
+    return {
+      type: inSetback ? 'setback' : 'constraint',
+      key: source.key,
+      name: source.name,
+      featureName: properties.NAME || properties.Name || properties.name || null,
+      ...(source.buffer > 0 ? { buffer: source.buffer } : {})
+    };
+  }
+
+  depthReason(depthFilter) {
+    return { type: 'depth', key: 'depth', name: 'Water depth', min: depthFilter.min, max: depthFilter.max };
+  }
+
+  // Groups the grid points into zones. Points beside or above each other on
+  // the grid are labelled as one connected component with a union-find (not
+  // diagonal ones, whose cells only touch at a corner), and each component
+  // becomes the union of the grid cells its points stand for. Every point
+  // ends up in a zone, however many there are.
   async createZonesFromPoints(points, progressCallback) {
     if (points.length === 0) {
       throw new Error('No valid points found for zone creation');
     }
     
-    // Create buffers around points
-    const buffers = [];
-    const batchSize = 500; // Increased batch size for better performance
-    const progressInterval = Math.max(1, Math.floor(points.length / 20)); // Update progress every 5%
+    // Points all sit on the grid, so the lowest coordinates are on it too
+    const size = this.gridResolution;
+    let originX = Infinity;
+    let originY = Infinity;
+    for (const point of points) {
+      originX = Math.min(originX, point.geometry.coordinates[0]);
+      originY = Math.min(originY, point.geometry.coordinates[1]);
+    }
     
-    for (let i = 0; i < points.length; i += batchSize) {
-      const batch = points.slice(i, Math.min(i + batchSize, points.length));
-      const batchBuffers = batch.map(point => 
-        turf.buffer(point, this.bufferSize, { units: 'degrees', steps: 6 })
-      );
-      buffers.push(...batchBuffers);
-      
-      // Only update progress every few batches to reduce overhead
-      if (i % (batchSize * progressInterval) === 0 || i + batchSize >= points.length) {
-        const progress = 70 + Math.floor((i / points.length) * 10);
-        progressCallback(progress, `Creating zones (${i}/${points.length} points processed)`);
+    // One cell per grid position; the adaptive grid can visit a position twice
+    const cells = new Map();
+    for (const point of points) {
+      const [x, y] = point.geometry.coordinates;
+      const column = Math.round((x - originX) / size);
+      const row = Math.round((y - originY) / size);
+      const key = `${column},${row}`;
+      if (!cells.has(key)) cells.set(key, { column, row, index: cells.size });
+    }
+    
+    const parent = new Int32Array(cells.size).map((value, index) => index);
+    const find = index => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+    
+    // Link each cell to the neighbours after it; the ones before link to it
+    for (const { column, row, index } of cells.values()) {
+      for (const [dx, dy] of [[1, 0], [0, 1]]) {
+        const neighbour = cells.get(`${column + dx},${row + dy}`);
+        if (!neighbour) continue;
+        const a = find(index);
+        const b = find(neighbour.index);
+        if (a !== b) parent[a] = b;
       }
     }
     
-    // Merge nearby buffers using clustering
-    const clusters = this.clusterPolygons(buffers);
+    const components = new Map();
+    for (const cell of cells.values()) {
+      const root = find(cell.index);
+      if (!components.has(root)) components.set(root, []);
+      components.get(root).push(cell);
+    }
+    
     const zones = [];
+    let processed = 0;
+    const progressInterval = Math.max(1, Math.floor(components.size / 20)); // Update progress every 5%
+    for (const component of components.values()) {
+      const zone = this.cellsToPolygon(component, [originX, originY]);
+      if (zone) zones.push(zone);
+      
+      processed++;
+      if (processed % progressInterval === 0) {
+        const progress = 70 + Math.floor((processed / components.size) * 10);
+        progressCallback(progress, `Creating zones (${processed}/${components.size} groups of points merged)`);
+      }
+    }
     
-    for (const cluster of clusters) {
-      try {
-        let merged = cluster[0];
-        for (let i = 1; i < cluster.length; i++) {
-          merged = turf.union(merged, cluster[i]);
+    return zones;
+  }
+
+  // Union of grid cells ({ column, row }, centred on origin + index * cell
+  // size). Runs of cells along a row are merged first, then identical runs in
+  // consecutive rows, so the union has few rectangles to join.
+  cellsToPolygon(cells, origin) {
+    const size = this.gridResolution;
+    const rows = new Map();
+    for (const { column, row } of cells) {
+      if (!rows.has(row)) rows.set(row, []);
+      rows.get(row).push(column);
+    }
+    
+    const rectangles = [];
+    let open = new Map();
+    let previousRow = null;
+    for (const row of [...rows.keys()].sort((a, b) => a - b)) {
+      if (previousRow !== null && row !== previousRow + 1) {
+        rectangles.push(...open.values());
+        open = new Map();
+      }
+      
+      const runs = [];
+      for (const column of rows.get(row).sort((a, b) => a - b)) {
+        const last = runs[runs.length - 1];
+        if (last && column === last.to + 1) {
+          last.to = column;
+        } else {
+          runs.push({ from: column, to: column });
         }
-        zones.push(merged);
-      } catch (error) {
-        console.warn('Error merging cluster:', error);
       }
+      
+      const next = new Map();
+      for (const run of runs) {
+        const key = `${run.from},${run.to}`;
+        const rectangle = open.get(key) || { ...run, fromRow: row };
+        open.delete(key);
+        rectangle.toRow = row;
+        next.set(key, rectangle);
+      }
+      rectangles.push(...open.values());
+      open = next;
+      previousRow = row;
     }
+    rectangles.push(...open.values());
     
-    return zones;
+    return this.unionAll(rectangles.map(rectangle => turf.bboxPolygon([
+      origin[0] + (rectangle.from - 0.5) * size,
+      origin[1] + (rectangle.fromRow - 0.5) * size,
+      origin[0] + (rectangle.to + 0.5) * size,
+      origin[1] + (rectangle.toRow + 0.5) * size
+    ])));
   }
 
-  clusterPolygons(polygons, maxDistance = 0.001) {
-    if (polygons.length === 0) return [];
-    if (polygons.length === 1) return [polygons];
+  // The water where a zone may go, as exact polygons: the water mask minus
+  // the union of every buffered constraint, limited to the depth range.
+  // Null when nothing is left.
+  async createOverlayArea(studyArea, waterMask, constraints, depthFilter = null) {
+    let feasible = waterMask;
+    const blocked = this.unionAll(constraints);
+    if (blocked) {
+      feasible = turf.difference(feasible, blocked);
+    }
     
-    const clusters = [];
-    const processed = new Set();
+    if (feasible && depthFilter) {
+      const inRange = this.depthArea(studyArea, depthFilter);
+      feasible = inRange ? turf.intersect(feasible, inRange) : null;
+    }
     
-    // Limit the number of polygons to process to prevent hanging
-    const maxPolygons = 1000;
-    const polygonsToProcess = polygons.slice(0, maxPolygons);
+    return feasible;
+  }
+
+  // Where the interpolated depth is within range, cut from the depth
+  // surface's triangles. Outside the surface the depth is unknown, which
+  // counts as in range unless unknown depths are excluded.
+  depthArea(studyArea, depthFilter) {
+    const { surface, min, max, excludeUnknown } = depthFilter;
+    let area = this.unionAll(surface.bandPolygons(min, max));
+    if (!excludeUnknown) {
+      const unknown = turf.difference(studyArea, surface.coverage());
+      if (unknown) area = area ? turf.union(area, unknown) : unknown;
+    }
+    return area;
+  }
+
+  // Union of many polygons, merged pairwise so each step joins polygons of
+  // similar size. Null for no polygons.
+  unionAll(features) {
+    let merged = features
+      .filter(feature => feature.geometry && (feature.geometry.type === 'Polygon' || feature.geometry.type === 'MultiPolygon'))
+      .map(feature => turf.feature(feature.geometry));
+    if (merged.length === 0) return null;
     
-    for (let i = 0; i < polygonsToProcess.length; i++) {
-      if (processed.has(i)) continue;
-      
-      const cluster = [polygonsToProcess[i]];
-      processed.add(i);
-      
-      // Find all polygons that should be in this cluster
-      const queue = [i];
-      let clusterSize = 0;
-      const maxClusterSize = 50; // Limit cluster size to prevent infinite loops
-      
-      while (queue.length > 0 && clusterSize < maxClusterSize) {
-        const current = queue.shift();
-        clusterSize++;
-        
-        for (let j = 0; j < polygonsToProcess.length; j++) {
-          if (processed.has(j) || clusterSize >= maxClusterSize) continue;
-          
-          try {
-            // Check if polygons are close enough
-            const distance = turf.distance(
-              turf.centroid(polygonsToProcess[current]), 
-              turf.centroid(polygonsToProcess[j])
-            );
-            
-            if (distance <= maxDistance) {
-              cluster.push(polygonsToProcess[j]);
-              processed.add(j);
-              queue.push(j);
-              clusterSize++;
-            }
-          } catch (error) {
-            // Skip problematic polygons
-            console.warn('Error processing polygon for clustering:', error);
-          }
+    while (merged.length > 1) {
+      const next = [];
+      for (let i = 0; i < merged.length; i += 2) {
+        if (i + 1 === merged.length) {
+          next.push(merged[i]);
+          continue;
+        }
+        try {
+          next.push(turf.union(merged[i], merged[i + 1]) || merged[i]);
+        } catch (error) {
+          console.warn('Error unioning constraint polygons:', error);
+          next.push(merged[i], merged[i + 1]);
         }
       }
-      
-      clusters.push(cluster);
+      if (next.length === merged.length) break; // nothing more can be merged
+      merged = next;
+    }
+    
+    // Polygons that would not union are kept side by side in one MultiPolygon
+    if (merged.length === 1) return merged[0];
+    return turf.multiPolygon(merged.flatMap(feature =>
+      feature.geometry.type === 'Polygon' ? [feature.geometry.coordinates] : feature.geometry.coordinates
+    ));
+  }
+
+  // Splits the study area into regions by suitability class, from grid cells
+  // graded at their centres, over the extent of the feasible area. The cells
+  // sit on the candidate grid, so a candidate point's class is its cell's.
+  classRegions(bbox, feasible, scorer, depthFilter = null) {
+    const size = this.gridResolution;
+    const [minX, minY] = bbox;
+    const [fMinX, fMinY, fMaxX, fMaxY] = turf.bbox(feasible);
+    
+    const cells = new Map(this.suitability.getClasses().map(suitabilityClass => [suitabilityClass.id, []]));
+    for (let row = Math.round((fMinY - minY) / size); row <= Math.round((fMaxY - minY) / size); row++) {
+      for (let column = Math.round((fMinX - minX) / size); column <= Math.round((fMaxX - minX) / size); column++) {
+        const point = turf.point([minX + column * size, minY + row * size]);
+        if (depthFilter) {
+          const depth = depthFilter.surface.depthAt(point.geometry.coordinates);
+          if (depth !== null) point.properties.depth = depth;
+        }
+        cells.get(this.suitability.classify(scorer.score(point).score).id).push({ column, row });
+      }
     }
     
-    return clusters;
+    return this.suitability.getClasses()
+      .map(suitabilityClass => ({ suitabilityClass, region: this.cellsToPolygon(cells.get(suitabilityClass.id), [minX, minY]) }))
+      .filter(({ region }) => region);
+  }
+
+  // The separate parts of the feasible area inside a class region, leaving
+  // out slivers under 0.1 sq km as the grid method does
+  clipZones(feasible, region) {
+    let clipped;
+    try {
+      clipped = turf.intersect(feasible, region);
+    } catch (error) {
+      console.warn('Error clipping zones to a suitability class:', error);
+      return [];
+    }
+    if (!clipped) return [];
+    return turf.flatten(clipped).features.filter(part => turf.area(part) / 1000000 > 0.1);
   }
 
   async optimizeZones(zones, waterMask, landFeatures) {
@@ -341,10 +725,13 @@ class ZoneCalculator {
           highQuality: true 
         });
         
-        // Only keep zones with significant area (> 0.1 sq km)
-        const area = turf.area(simplified) / 1000000; // Convert to sq km
-        if (area > 0.1) {
-          optimized.push(simplified);
+        // Land can cut a zone in two; each part is a zone of its own, kept
+        // only if it has significant area (> 0.1 sq km)
+        for (const part of turf.flatten(simplified).features) {
+          const area = turf.area(part) / 1000000; // Convert to sq km
+          if (area > 0.1) {
+            optimized.push(part);
+          }
         }
       } catch (error) {
         console.warn('Error optimizing zone:', error);
@@ -354,56 +741,21 @@ class ZoneCalculator {
     return optimized;
   }
 
-  buildSpatialIndex(features) {
-    // Simple grid-based spatial index
-    const index = new Map();
-    const cellSize = 0.01; // ~1km cells
-    
-    for (const feature of features) {
-      const bbox = turf.bbox(feature);
-      const minCellX = Math.floor(bbox[0] / cellSize);
-      const minCellY = Math.floor(bbox[1] / cellSize);
-      const maxCellX = Math.ceil(bbox[2] / cellSize);
-      const maxCellY = Math.ceil(bbox[3] / cellSize);
-      
-      for (let x = minCellX; x <= maxCellX; x++) {
-        for (let y = minCellY; y <= maxCellY; y++) {
-          const key = `${x},${y}`;
-          if (!index.has(key)) {
-            index.set(key, []);
-          }
-          index.get(key).push(feature);
-        }
-      }
-    }
-    
-    return index;
-  }
-
-  queryNearbyFeatures(spatialIndex, point, radius) {
-    const features = new Set();
-    const cellSize = 0.01;
-    const [lng, lat] = point.geometry.coordinates;
-    
-    const cellX = Math.floor(lng / cellSize);
-    const cellY = Math.floor(lat / cellSize);
-    const cellRadius = Math.ceil(radius / cellSize);
+  extractLandFeatures(constraintData) {
+    const landFeatures = [];
+    const landKeys = this.registry.getLandKeys();
     
-    for (let x = cellX - cellRadius; x <= cellX + cellRadius; x++) {
-      for (let y = cellY - cellRadius; y <= cellY + cellRadius; y++) {
-        const key = `${x},${y}`;
-        const cellFeatures = spatialIndex.get(key) || [];
-        cellFeatures.forEach(f => features.add(f));
+    // Sources registered with the land role are treated as land outright
+    for (const key of landKeys) {
+      if (constraintData[key]?.features) {
+        landFeatures.push(...constraintData[key].features.filter(f =>
+          f.geometry && (f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon')
+        ));
       }
     }
     
-    return Array.from(features);
-  }
-
-  extractLandFeatures(constraintData) {
-    const landFeatures = [];
-    
-    if (constraintData.coastline?.features) {
+    // A coastline passed in directly, unless it is one of the land sources above
+    if (constraintData.coastline?.features && !landKeys.includes('coastline')) {
       landFeatures.push(...constraintData.coastline.features);
     }
     
@@ -411,6 +763,7 @@ class ZoneCalculator {
     const landTypes = ['land', 'island', 'peninsula'];
     
     for (const [key, data] of Object.entries(constraintData)) {
+      if (landKeys.includes(key) || key === 'coastline') continue;
       if (data?.features) {
         const lands = data.features.filter(f => 
           f.properties && landTypes.some(type => 
@@ -422,6 +775,10 @@ class ZoneCalculator {
       }
     }
     
+    if (landFeatures.length === 0) {
+      console.warn('No land features found; the water mask will cover the whole study area');
+    }
+    
     return landFeatures;
   }
 
@@ -454,46 +811,321 @@ class ZoneCalculator {
     return waterMask;
   }
 
-  async collectConstraints(constraintData) {
+  // extraBuffer (metres) is added to every set-back, e.g. a vessel's swing radius
+  async collectConstraints(constraintData, extraBuffer = 0) {
     const constraints = [];
     
-    const constraintKeys = [
-      'portAuthorities',
-      'marineParks',
-      'fishHabitat',
-      'cockburnSound',
-      'mooringAreas',
-      'marineInfrastructure',
-      'ausMarineParks',
-      'osmHarbours',
-      'osmMarinas'
-    ];
-    
-    for (const key of constraintKeys) {
+    for (const key of this.registry.getKeysByRole('hard')) {
       if (constraintData[key]?.features) {
         const polygons = constraintData[key].features.filter(f =>
           f.geometry && 
           (f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon')
         );
-        constraints.push(...polygons);
+        
+        // Apply the set-back for this source (its own or its category's, see config/bufferRules.json)
+        const source = this.registry.getSource(key);
+        const buffer = source.buffer + extraBuffer;
+        constraints.push(...this.tagConstraints(this.bufferConstraints(key, polygons, buffer), key, source.description || key, buffer));
       }
     }
     
+    // Uploaded layers, already limited to the ones in force for this calculation.
+    // With a buffer, points and lines become exclusion areas too.
+    for (const layer of constraintData.customLayers || []) {
+      if (layer.role !== 'hard' || !layer.data?.features) continue;
+      
+      const buffer = (layer.buffer || 0) + extraBuffer;
+      const features = layer.data.features.filter(f =>
+        f.geometry && (buffer > 0 || f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon')
+      );
+      constraints.push(...this.tagConstraints(this.bufferConstraints(layer.id, features, buffer, layer.name), layer.id, layer.name, buffer));
+    }
+    
+    return constraints;
+  }
+
+  // turf.buffer works in an azimuthal equidistant projection centred on the
+  // feature, where distances are only true near the centre, so multi-part
+  // features are buffered a part at a time to keep set-backs geodesic. Each
+  // buffered part keeps the part it came from as `unbuffered`. A polygon
+  // that cannot be buffered is kept as it is; a point or line is dropped, as
+  // only polygons can be tested against.
+  bufferConstraints(key, features, buffer, name = key) {
+    if (!(buffer > 0)) return features;
+    
+    let dropped = 0;
+    const constraints = features.flatMap(feature => turf.flatten(feature).features.flatMap(part => {
+      let buffered = null;
+      try {
+        buffered = turf.buffer(part, buffer, { units: 'meters' });
+      } catch (error) {
+        console.warn(`Error buffering ${name} constraint:`, error);
+      }
+      if (buffered) {
+        buffered.properties = part.properties;
+        buffered.unbuffered = part;
+        return [buffered];
+      }
+      if (part.geometry.type === 'Polygon') return [part];
+      dropped++;
+      return [];
+    }));
+    if (dropped > 0) {
+      console.warn(`Dropped ${dropped} ${name} constraint feature(s) that could not be buffered into polygons`);
+    }
     return constraints;
   }
 
-  generateConstraintHash(constraintData) {
+  // Records which constraint a polygon came from, for exclusion reasons
+  tagConstraints(features, key, name, buffer) {
+    return features.map(feature => ({ ...feature, exclusion: { key, name, buffer } }));
+  }
+
+  // The depth surface from the depth sources, or null when none has data
+  buildDepthSurface(constraintData) {
+    const sources = [];
+    const surfaceFeatures = [];
+    let property = null;
+    for (const key of this.registry.getDepthKeys()) {
+      const features = constraintData[key]?.features;
+      if (!features?.length) continue;
+      sources.push(key);
+      surfaceFeatures.push(...features);
+      property = property || this.registry.getSource(key).depthProperty;
+    }
+    if (sources.length === 0) return null;
+
+    const surface = new DepthSurface({ sources }).build(surfaceFeatures, property);
+    if (surface.isEmpty()) {
+      console.warn(`No depths could be read from ${sources.join(', ')}`);
+      return null;
+    }
+    return surface;
+  }
+
+  // The configured depths, raised to what the vessel needs when one is given
+  getDepthRange(options = {}) {
+    const range = { ...this.depthRange, ...(options.depthRange || {}) };
+    if (options.vessel) {
+      range.min = Math.max(range.min ?? 0, options.vessel.minDepth);
+    }
+    return range;
+  }
+
+  createDepthFilter(constraintData, depthRange) {
+    const surface = this.buildDepthSurface(constraintData);
+    if (!surface) {
+      console.warn('No bathymetry available; zones are not filtered by depth');
+      return null;
+    }
+    return { surface, sources: surface.sources, ...depthRange, excluded: 0, unknown: 0 };
+  }
+
+  // Whether a grid point's depth is within range; records the depth on the point
+  meetsDepth(point, depthFilter) {
+    if (!depthFilter) return true;
+
+    const depth = depthFilter.surface.depthAt(point.geometry.coordinates);
+    if (depth === null) {
+      depthFilter.unknown++;
+      if (depthFilter.excludeUnknown) {
+        depthFilter.excluded++;
+        return false;
+      }
+      return true;
+    }
+
+    point.properties.depth = depth;
+    if ((depthFilter.min !== null && depth < depthFilter.min) ||
+        (depthFilter.max !== null && depth > depthFilter.max)) {
+      depthFilter.excluded++;
+      return false;
+    }
+    return true;
+  }
+
+  // How many of the candidate points lie inside a zone
+  countPointsInZone(zone, points) {
+    const bbox = turf.bbox(zone);
+    let count = 0;
+    for (const point of points) {
+      const [x, y] = point.geometry.coordinates;
+      if (x < bbox[0] || x > bbox[2] || y < bbox[1] || y > bbox[3]) continue;
+      if (turf.booleanPointInPolygon(point, zone)) count++;
+    }
+    return count;
+  }
+
+  // Mean score and factor scores of the candidate points inside a zone; with
+  // a scorer, a zone no candidate point fell in is scored at a point inside it
+  summarizeZoneSuitability(zone, points, scorer = null, depthFilter = null) {
+    const bbox = turf.bbox(zone);
+    const scores = [];
+    const factors = {};
+    for (const point of points) {
+      const [x, y] = point.geometry.coordinates;
+      if (x < bbox[0] || x > bbox[2] || y < bbox[1] || y > bbox[3]) continue;
+      if (!turf.booleanPointInPolygon(point, zone)) continue;
+      if (point.properties.score !== null) scores.push(point.properties.score);
+      for (const [factor, score] of Object.entries(point.properties.factors)) {
+        (factors[factor] = factors[factor] || []).push(score);
+      }
+    }
+    if (scores.length === 0 && Object.keys(factors).length === 0 && scorer) {
+      const inside = turf.pointOnFeature(zone);
+      const depth = depthFilter ? depthFilter.surface.depthAt(inside.geometry.coordinates) : null;
+      if (depth !== null) inside.properties.depth = depth;
+      const { score, factors: pointFactors } = scorer.score(inside);
+      return { score, factorScores: pointFactors };
+    }
+
+    const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const factorScores = {};
+    for (const [factor, values] of Object.entries(factors)) {
+      factorScores[factor] = Math.round(mean(values) * 100) / 100;
+    }
+    return {
+      score: scores.length > 0 ? Math.round(mean(scores)) : null,
+      factorScores
+    };
+  }
+
+  // Depth statistics from the candidate points inside a zone, falling back
+  // to the depth at its centre
+  summarizeZoneDepth(zone, points, depthFilter) {
+    if (!depthFilter) return { minDepth: null, meanDepth: null, maxDepth: null };
+
+    const bbox = turf.bbox(zone);
+    const depths = [];
+    for (const point of points) {
+      const depth = point.properties.depth;
+      if (depth === undefined) continue;
+      const [x, y] = point.geometry.coordinates;
+      if (x < bbox[0] || x > bbox[2] || y < bbox[1] || y > bbox[3]) continue;
+      if (turf.booleanPointInPolygon(point, zone)) depths.push(depth);
+    }
+    if (depths.length === 0) {
+      const centre = depthFilter.surface.depthAt(turf.pointOnFeature(zone).geometry.coordinates);
+      if (centre !== null) depths.push(centre);
+    }
+
+    return DepthSurface.summarize(depths) || { minDepth: null, meanDepth: null, maxDepth: null };
+  }
+
+  getCacheKey(allConstraintData, options = {}) {
+    const period = this.validity.toPeriod(options.period);
+    const selection = this.selectInForce(allConstraintData, period);
+    const constraintHash = this.generateConstraintHash(selection.data, options.sourceVersions || null, selection.inForce, {
+      depthRange: this.getDepthRange(options),
+      swingRadius: options.vessel ? options.vessel.swingRadius : 0,
+      buffers: this.getBuffers(selection.data),
+      suitability: this.suitability.describe(options.scenario || this.suitability.getDefaultScenario())
+    });
+    // The key is the hash of the constraints in force and everything else the
+    // zones depend on, then the grid resolution. The method is only added
+    // when it is not grid, so grid zones cached before there was a choice of
+    // method are still found.
+    const method = this.getMethod(options);
+    const suffix = method === 'grid' ? this.gridResolution : `${this.gridResolution}_${method}`;
+    return { cacheKey: `zones_${constraintHash}_${suffix}`, period, selection };
+  }
+
+  // The zone method for a calculation: the requested one or the configured default
+  getMethod(options = {}) {
+    return options.method || this.method;
+  }
+
+  // Set-back in metres per hard constraint, so changing the buffer rules
+  // invalidates cached zones
+  getBuffers(constraintData) {
+    const buffers = {};
+    for (const key of this.registry.getKeysByRole('hard')) {
+      buffers[key] = this.registry.getSource(key).buffer;
+    }
+    for (const layer of constraintData.customLayers || []) {
+      if (layer.role === 'hard') buffers[layer.id] = layer.buffer || 0;
+    }
+    return buffers;
+  }
+
+  // A previously calculated result for these constraints and period, if any
+  async findCachedResult(allConstraintData, options = {}) {
+    const { cacheKey } = this.getCacheKey(allConstraintData, options);
+    return this.getCachedResult(cacheKey);
+  }
+
+  // Narrows the constraint data to what is in force during the period: sources
+  // outside their validity window or season are emptied, features outside
+  // their own dates dropped, and uploaded layers not in force left out
+  selectInForce(constraintData, period) {
+    const data = { ...constraintData };
+    const inactive = [];
+    const inForce = {};
+    let validUntil = null;
+
+    const noteChange = (spec, features) => {
+      const next = this.validity.nextChange(spec, period.to, features);
+      if (next && (!validUntil || next < validUntil)) validUntil = next;
+    };
+
+    for (const [key, source] of Object.entries(this.registry.getSources())) {
+      if (TemporalValidity.isTimeless(source.validity) || !data[key]?.features) continue;
+      noteChange(source.validity, data[key]);
+
+      if (!this.validity.isActive(source.validity, period)) {
+        inactive.push(key);
+        data[key] = { ...data[key], features: [] };
+      } else if (TemporalValidity.hasFeatureWindows(source.validity)) {
+        const features = data[key].features;
+        data[key] = this.validity.filterFeatures(data[key], source.validity, period);
+        inForce[key] = features.flatMap((feature, i) => data[key].features.includes(feature) ? [i] : []);
+      }
+    }
+
+    if (constraintData.customLayers) {
+      data.customLayers = constraintData.customLayers.filter(layer => {
+        noteChange(layer);
+        if (this.validity.isActive(layer, period)) return true;
+        inactive.push(layer.id);
+        return false;
+      });
+    }
+
+    return { data, inactive, inForce, validUntil: validUntil ? validUntil.toISOString() : null };
+  }
+
+  generateConstraintHash(constraintData, sourceVersions = null, inForce = null, criteria = null) {
     const summary = {
       keys: Object.keys(constraintData).sort(),
       featureCounts: {}
     };
     
+    // Different snapshots of the same source must not share a cache entry
+    if (sourceVersions) {
+      summary.sourceVersions = sourceVersions;
+    }
+    
     for (const [key, data] of Object.entries(constraintData)) {
       if (data?.features) {
         summary.featureCounts[key] = data.features.length;
       }
     }
     
+    // Uploading, replacing or expiring a layer changes the set in force
+    if (constraintData.customLayers) {
+      summary.customLayers = constraintData.customLayers.map(layer => `${layer.id}:${layer.hash}`);
+    }
+    
+    // Which dated features were in force, for sources with per-feature windows
+    if (inForce && Object.keys(inForce).length > 0) {
+      summary.inForce = inForce;
+    }
+    
+    // Zones for different depth limits, vessels or scenarios are different results
+    if (criteria) {
+      summary.criteria = criteria;
+    }
+    
     return crypto.createHash('md5')
       .update(JSON.stringify(summary))
       .digest('hex')
@@ -510,6 +1142,27 @@ class ZoneCalculator {
     }
   }
 
+  async cacheExclusions(cacheKey, exclusions) {
+    try {
+      const cachePath = path.join(this.cacheDir, `${cacheKey}_exclusions.json`);
+      await fs.writeFile(cachePath, JSON.stringify(exclusions));
+    } catch (error) {
+      console.warn('Failed to cache exclusion reasons:', error);
+    }
+  }
+
+  // Exclusion reasons recorded with the zones for these constraints and
+  // options, or null when they have not been calculated
+  async findExclusions(allConstraintData, options = {}) {
+    const { cacheKey } = this.getCacheKey(allConstraintData, options);
+    try {
+      const data = await fs.readFile(path.join(this.cacheDir, `${cacheKey}_exclusions.json`), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      return null;
+    }
+  }
+
   async cacheResult(cacheKey, result) {
     try {
       const cachePath = path.join(this.cacheDir, `${cacheKey}.json`);
@@ -519,6 +1172,21 @@ class ZoneCalculator {
     }
   }
 
+  // Drops every cached calculation, e.g. after a source's data has changed
+  async clearCache() {
+    let removed = 0;
+    try {
+      const files = await fs.readdir(this.cacheDir);
+      for (const file of files.filter(f => f.startsWith('zones_') && f.endsWith('.json'))) {
+        await fs.unlink(path.join(this.cacheDir, file));
+        if (!file.endsWith('_exclusions.json')) removed++;
+      }
+    } catch (error) {
+      console.warn('Failed to clear zone cache:', error);
+    }
+    return removed;
+  }
+
   getDefaultStudyArea() {
     return {
       type: 'Feature',
@@ -561,4 +1229,6 @@ class ZoneCalculator {
   }
 }
 
+ZoneCalculator.METHODS = METHODS;
+
 module.exports = ZoneCalculator; 
\ No newline at end of file
@@ -0,0 +1,175 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// A job waits in the queue, runs, and ends in one of the finished states
+const STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+// Zone calculation jobs: what each was asked to calculate, how far it got,
+// why it failed and where its zones are. Jobs are kept in index.json in the
+// job directory with each completed job's zones beside it, so the history
+// and the results survive restarts. Beyond maxJobs the oldest finished jobs
+// are dropped, with their results.
+class ZoneJobStore {
+  constructor(options = {}) {
+    this.jobDir = options.jobDir || path.join(__dirname, 'zone_jobs');
+    this.maxJobs = options.maxJobs || 100;
+    this.jobs = {};
+  }
+
+  async initialize() {
+    await fs.mkdir(this.jobDir, { recursive: true });
+
+    try {
+      this.jobs = JSON.parse(await fs.readFile(this.indexPath(), 'utf8'));
+    } catch (error) {
+      // No jobs yet
+      this.jobs = {};
+    }
+
+    // A job that was running when the server stopped never finished; queued
+    // jobs are picked up again
+    const interrupted = Object.values(this.jobs).filter(job => job.status === 'running');
+    for (const job of interrupted) {
+      this.finish(job, 'failed', { error: 'Interrupted by a server restart' });
+    }
+    if (interrupted.length > 0) await this.saveIndex();
+  }
+
+  indexPath() {
+    return path.join(this.jobDir, 'index.json');
+  }
+
+  async saveIndex() {
+    await fs.writeFile(this.indexPath(), JSON.stringify(this.jobs, null, 2));
+  }
+
+  // Newest first, optionally only those in one status
+  list(status = null) {
+    return Object.values(this.jobs)
+      .filter(job => !status || job.status === status)
+      .sort((a, b) => b.sequence - a.sequence);
+  }
+
+  get(id) {
+    return this.jobs[id] || null;
+  }
+
+  // The queued or running job matching a test, if any
+  findActive(matches) {
+    return Object.values(this.jobs).find(job => !this.isFinished(job) && matches(job)) || null;
+  }
+
+  // The job that has been waiting longest
+  nextQueued() {
+    return this.list('queued').pop() || null;
+  }
+
+  isFinished(job) {
+    return FINISHED.includes(job.status);
+  }
+
+  // `params` are the job's calculation parameters as plain data
+  async create(params, reason) {
+    const now = new Date().toISOString();
+    const job = {
+      id: `job-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`,
+      // Order of submission
+      sequence: Math.max(0, ...Object.values(this.jobs).map(existing => existing.sequence || 0)) + 1,
+      status: 'queued',
+      reason,
+      params,
+      createdAt: now,
+      startedAt: null,
+      finishedAt: null,
+      progress: 0,
+      messages: [],
+      error: null,
+      timedOut: false,
+      result: null
+    };
+    this.jobs[job.id] = job;
+    await this.prune();
+    await this.saveIndex();
+    return job;
+  }
+
+  async start(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    await this.saveIndex();
+  }
+
+  // Keeps the latest message for each progress step; progress is only saved
+  // with the job's next change of status
+  progress(job, progress, message) {
+    job.progress = progress;
+    const last = job.messages[job.messages.length - 1];
+    const entry = { at: new Date().toISOString(), progress, message };
+    if (last && last.progress === progress) {
+      job.messages[job.messages.length - 1] = entry;
+    } else {
+      job.messages.push(entry);
+    }
+  }
+
+  // Keeps the zones for downloading and a summary of them on the job
+  async complete(job, result) {
+    const file = `${job.id}.json`;
+    await fs.writeFile(path.join(this.jobDir, file), JSON.stringify(result));
+    this.finish(job, 'completed', {
+      progress: 100,
+      result: {
+        file,
+        zones: result.features.length,
+        calculationTime: result.metadata?.calculationTime ?? null,
+        totalCandidatePoints: result.metadata?.totalCandidatePoints ?? null
+      }
+    });
+    await this.saveIndex();
+  }
+
+  // An error marked `cancelled` (see ZoneCalculationRunner) cancels the job;
+  // any other fails it
+  async fail(job, error) {
+    this.finish(job, error.cancelled ? 'cancelled' : 'failed', {
+      error: error.message,
+      timedOut: Boolean(error.timedOut)
+    });
+    await this.saveIndex();
+  }
+
+  finish(job, status, changes) {
+    Object.assign(job, changes, { status, finishedAt: new Date().toISOString() });
+  }
+
+  // The zones a completed job calculated, or null
+  async readResult(job) {
+    if (!job.result?.file) return null;
+    try {
+      return await fs.readFile(path.join(this.jobDir, job.result.file), 'utf8');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Drops the oldest finished jobs beyond maxJobs
+  async prune() {
+    const finished = this.list().filter(job => this.isFinished(job));
+    const excess = Object.keys(this.jobs).length - this.maxJobs;
+    if (excess <= 0) return;
+
+    for (const job of finished.slice(-excess)) {
+      delete this.jobs[job.id];
+      if (job.result?.file) {
+        await fs.unlink(path.join(this.jobDir, job.result.file)).catch(() => {});
+      }
+    }
+  }
+}
+
+ZoneJobStore.STATUSES = STATUSES;
+ZoneJobStore.FINISHED = FINISHED;
+
+module.exports = ZoneJobStore;